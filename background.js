@@ -1,51 +1,270 @@
 // Background script for Element to Markdown Copier
 // Handles extension icon clicks and manages content script injection
 
+const CONTENT_SCRIPT_FILES = [
+  'lib/turndown.js',
+  'lib/turndown-plugin-gfm.js',
+  'lib/marked.min.js',
+  'settings.js',
+  'content.js'
+];
+
+function canInjectInto(tab) {
+  return !!(tab && tab.id !== undefined && tab.url &&
+    !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://'));
+}
+
+/**
+ * Inject libraries, styles and the content script into a tab
+ */
+async function injectContentScripts(tabId) {
+  // Inject the CSS for highlighting
+  await chrome.scripting.insertCSS({
+    target: { tabId },
+    files: ['styles.css']
+  });
+
+  // Inject Turndown, the GFM plugin, marked and shared settings before the content script
+  for (const file of CONTENT_SCRIPT_FILES) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: [file]
+    });
+  }
+}
+
+/**
+ * Send a message to the content script, injecting it first if the tab has none yet
+ */
+async function sendToContentScript(tab, message, options = {}) {
+  try {
+    return await chrome.tabs.sendMessage(tab.id, message, options);
+  } catch (error) {
+    if (!canInjectInto(tab)) throw error;
+    await injectContentScripts(tab.id);
+    return chrome.tabs.sendMessage(tab.id, message, options);
+  }
+}
+
 chrome.action.onClicked.addListener(async (tab) => {
   try {
     // Check if we can inject scripts into this tab
-    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+    if (!canInjectInto(tab)) {
       console.log('Cannot inject scripts into chrome:// or chrome-extension:// pages');
       return;
     }
 
-    // Inject the Turndown library first
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['lib/turndown.js']
-    });
+    await injectContentScripts(tab.id);
 
-    // Inject the Turndown GFM plugin
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['lib/turndown-plugin-gfm.js']
-    });
+    console.log('Element to Markdown Copier activated');
+  } catch (error) {
+    console.error('Failed to inject scripts:', error);
+  }
+});
 
-    // Inject marked for Markdown rendering
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['lib/marked.min.js']
-    });
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    let targetTab = tab;
+    if (!targetTab) {
+      [targetTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+    if (!canInjectInto(targetTab)) {
+      console.log('Cannot run commands on this page');
+      return;
+    }
+    await sendToContentScript(targetTab, { type: 'mdcp-command', command });
+  } catch (error) {
+    console.error(`Failed to run command ${command}:`, error);
+  }
+});
 
-    // Inject the CSS for highlighting
-    await chrome.scripting.insertCSS({
-      target: { tabId: tab.id },
-      files: ['styles.css']
-    });
+const ELEMENT_CONTEXTS = ['page', 'selection', 'link', 'image', 'video', 'audio', 'editable'];
 
-    // Finally, inject the content script
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['content.js']
-    });
+const CONTEXT_MENU_ITEMS = [
+  { id: 'mdcp-copy-element-markdown', title: '이 요소를 Markdown으로 복사', contexts: ELEMENT_CONTEXTS },
+  { id: 'mdcp-copy-element-image', title: '이 요소를 이미지로 복사', contexts: ELEMENT_CONTEXTS },
+  { id: 'mdcp-copy-table-data', title: '표를 TSV로 복사 (스프레드시트용)', contexts: ELEMENT_CONTEXTS },
+  { id: 'mdcp-copy-selection-markdown', title: '선택한 텍스트를 Markdown으로 복사', contexts: ['selection'] },
+  { id: 'mdcp-copy-page-markdown', title: '전체 페이지를 Markdown으로 복사', contexts: ['page', 'selection', 'link', 'image'] },
+  { id: 'mdcp-copy-article-markdown', title: '본문만 Markdown으로 복사', contexts: ['page', 'selection', 'link', 'image'] }
+];
 
-    console.log('Element to Markdown Copier activated');
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => chrome.contextMenus.create(item));
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  try {
+    if (!canInjectInto(tab)) {
+      console.log('Cannot run context menu actions on this page');
+      return;
+    }
+    // The content script only runs in the top frame; it resolves targets inside same-origin frames
+    await sendToContentScript(tab, {
+      type: 'mdcp-context-menu',
+      menuItemId: info.menuItemId,
+      frameId: info.frameId || 0
+    }, { frameId: 0 });
   } catch (error) {
-    console.error('Failed to inject scripts:', error);
+    console.error(`Failed to run context menu item ${info.menuItemId}:`, error);
   }
 });
 
+// Clip collection and copy history are shared by all tabs and frames. They are stored in
+// chrome.storage.local because the service worker can be stopped at any time; every
+// read-modify-write goes through one queue so concurrent copies don't overwrite each other.
+const COLLECTION_STORAGE_KEY = 'mdcp-collection';
+const HISTORY_STORAGE_KEY = 'mdcp-history';
+const HISTORY_MAX_ENTRIES = 100;
+const HISTORY_MAX_BYTES = 4 * 1024 * 1024;
+// Collected fragments are never dropped silently; adds and edits past the budget are refused
+const COLLECTION_MAX_BYTES = 4 * 1024 * 1024;
+let storageQueue = Promise.resolve();
+
+async function readStoredList(key) {
+  const result = await chrome.storage.local.get(key);
+  return Array.isArray(result[key]) ? result[key] : [];
+}
+
+function updateStoredList(key, mutate) {
+  const run = storageQueue.then(async () => {
+    const items = await readStoredList(key);
+    const next = mutate(items) || items;
+    await chrome.storage.local.set({ [key]: next });
+    return next;
+  });
+  storageQueue = run.catch(() => {});
+  return run;
+}
+
+function readCollection() {
+  return readStoredList(COLLECTION_STORAGE_KEY);
+}
+
+function updateCollection(mutate) {
+  return updateStoredList(COLLECTION_STORAGE_KEY, fragments => {
+    const next = mutate(fragments) || fragments;
+    const totalBytes = next.reduce((sum, fragment) => sum + (fragment.markdown || '').length * 2, 0);
+    if (totalBytes > COLLECTION_MAX_BYTES) {
+      throw new Error('Collection is full');
+    }
+    return next;
+  });
+}
+
+function moveItem(fragments, id, offset) {
+  const index = fragments.findIndex(fragment => fragment.id === id);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= fragments.length) return fragments;
+  const next = fragments.slice();
+  const [item] = next.splice(index, 1);
+  next.splice(target, 0, item);
+  return next;
+}
+
+async function handleCollectionMessage(message) {
+  switch (message.type) {
+    case 'mdcp-collection-get':
+      return readCollection();
+    case 'mdcp-collection-add':
+      return updateCollection(fragments => fragments.concat({
+        id: `${Date.now()}_${Math.random().toString(16).slice(2)}`,
+        markdown: message.fragment.markdown || '',
+        url: message.fragment.url || '',
+        title: message.fragment.title || '',
+        timestamp: Date.now()
+      }));
+    case 'mdcp-collection-edit':
+      return updateCollection(fragments => fragments.map(fragment => (
+        fragment.id === message.id ? { ...fragment, markdown: message.markdown || '' } : fragment
+      )));
+    case 'mdcp-collection-move':
+      return updateCollection(fragments => moveItem(fragments, message.id, message.offset));
+    case 'mdcp-collection-remove':
+      return updateCollection(fragments => fragments.filter(fragment => fragment.id !== message.id));
+    case 'mdcp-collection-clear':
+      return updateCollection(() => []);
+    default:
+      throw new Error(`Unknown collection message: ${message.type}`);
+  }
+}
+
+// Keep the newest entries within the entry count and total size budget
+function trimHistory(entries) {
+  const kept = [];
+  let totalBytes = 0;
+  for (const entry of entries.slice(0, HISTORY_MAX_ENTRIES)) {
+    const size = (entry.markdown || '').length * 2;
+    if (totalBytes + size > HISTORY_MAX_BYTES) break;
+    kept.push(entry);
+    totalBytes += size;
+  }
+  return kept;
+}
+
+function addHistoryEntry(entries, copy) {
+  // A single copy never takes more than a quarter of the budget
+  const maxLength = HISTORY_MAX_BYTES / 4;
+  const markdown = String(copy.markdown || '');
+  const entry = {
+    id: `${Date.now()}_${Math.random().toString(16).slice(2)}`,
+    type: copy.type,
+    markdown: markdown.length > maxLength ? markdown.slice(0, maxLength) : markdown,
+    truncated: markdown.length > maxLength,
+    url: copy.url || '',
+    title: copy.title || '',
+    timestamp: Date.now()
+  };
+
+  const latest = entries[0];
+  if (latest && latest.type === entry.type && latest.url === entry.url && latest.markdown === entry.markdown) {
+    // Same copy again: just bump its timestamp
+    return [{ ...latest, timestamp: entry.timestamp }, ...entries.slice(1)];
+  }
+  return trimHistory([entry, ...entries]);
+}
+
+async function handleHistoryMessage(message) {
+  switch (message.type) {
+    case 'mdcp-history-record':
+      return updateStoredList(HISTORY_STORAGE_KEY, entries => addHistoryEntry(entries, message.entry || {}));
+    case 'mdcp-history-delete':
+      return updateStoredList(HISTORY_STORAGE_KEY, entries => entries.filter(entry => entry.id !== message.id));
+    default:
+      throw new Error(`Unknown history message: ${message.type}`);
+  }
+}
+
+// Credentialed text fetches are only for YouTube caption tracks
+function isAllowedTextUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  return url.protocol === 'https:' &&
+    /^(?:www\.|m\.)?youtube\.com$/.test(url.hostname) &&
+    url.pathname === '/api/timedtext';
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && typeof message.type === 'string' && message.type.startsWith('mdcp-collection-')) {
+    handleCollectionMessage(message)
+      .then(fragments => sendResponse({ fragments }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message && typeof message.type === 'string' && message.type.startsWith('mdcp-history-')) {
+    handleHistoryMessage(message)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
   if (message && message.type === 'mdcp-capture-visible') {
     try {
       chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'png' }, (dataUrl) => {
@@ -68,7 +287,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (!res.ok) {
           throw new Error(`HTTP ${res.status}`);
         }
+        const maxBytes = Number(message.maxBytes) || 0;
+        const declaredSize = Number(res.headers.get('content-length')) || 0;
+        if (maxBytes && declaredSize > maxBytes) {
+          throw new Error(`Image too large (${declaredSize} bytes)`);
+        }
         const blob = await res.blob();
+        if (maxBytes && blob.size > maxBytes) {
+          throw new Error(`Image too large (${blob.size} bytes)`);
+        }
         const reader = new FileReader();
         reader.onloadend = () => {
           sendResponse({ dataUrl: reader.result });
@@ -84,5 +311,29 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message && message.type === 'mdcp-open-options') {
+    chrome.runtime.openOptionsPage();
+    sendResponse({ ok: true });
+    return false;
+  }
 
+  if (message && message.type === 'mdcp-fetch-text' && message.url) {
+    if (!isAllowedTextUrl(message.url)) {
+      sendResponse({ error: 'URL not allowed' });
+      return false;
+    }
+    (async () => {
+      try {
+        const res = await fetch(message.url, { credentials: 'include' });
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}`);
+        }
+        const text = await res.text();
+        sendResponse({ text, contentType: res.headers.get('content-type') || '' });
+      } catch (error) {
+        sendResponse({ error: error.message });
+      }
+    })();
+    return true;
+  }
 });
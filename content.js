@@ -22,6 +22,7 @@
     let dragOffset = { x: 0, y: 0 };
     let wasDragged = false;
     let copyAsImage = false; // Flag to determine if copying as image
+    let contextMenuTarget = null; // Element under the cursor for the last right click
 
     // Preview panel state
     let previewPanel = null;
@@ -29,8 +30,20 @@
         markdown: '',
         captions: '',
         captionsMeta: null,
+        captionSegments: [],
+        captionFormat: 'text',
+        captionParagraphSeconds: 0,
         captionTracks: [],
+        // Tables found in the last Markdown copy (see collectTableData)
+        tables: [],
+        tableFormat: 'tsv',
+        // Non-Markdown output shown instead of the Markdown (see OUTPUT_FORMATS)
+        outputFormat: 'markdown',
+        output: '',
+        // Elements and options the preview was converted from, to switch formats later
+        source: null,
         activeTab: 'render',
+        historyQuery: '',
         height: 0,
         width: 0,
         left: null,
@@ -57,20 +70,25 @@
     let selectionBox = null;
     let justFinishedAreaSelection = false;
 
-    // Initialize Turndown converter with GFM plugin for better table support
-    const turndownService = new TurndownService({
-        headingStyle: 'atx',
-        codeBlockStyle: 'fenced',
-        emDelimiter: '*',
-        strongDelimiter: '**',
-        linkStyle: 'inlined'
-    });
+    // Self-contained Markdown (images embedded as data URIs)
+    const INLINE_IMAGE_MAX_BYTES = 2 * 1024 * 1024;
+    const INLINE_IMAGE_CONCURRENCY = 4;
+    const INLINE_IMAGE_PROGRESS_THRESHOLD = 5;
 
-    // Add GFM plugin for table support
-    if (typeof turndownPluginGfm !== 'undefined') {
-        const gfm = turndownPluginGfm.gfm;
-        turndownService.use(gfm);
-    }
+    // Copy history (chrome.storage.local)
+    const HISTORY_STORAGE_KEY = 'mdcp-history';
+    const HISTORY_TYPE_LABELS = { markdown: 'Markdown', image: '이미지', captions: '자막', table: '표', html: 'HTML', text: '텍스트', asciidoc: 'AsciiDoc', org: 'Org', rst: 'reST' };
+
+    // Clip collection (kept by the background worker)
+    const COLLECTION_STORAGE_KEY = 'mdcp-collection';
+
+    // ZIP export
+    const ZIP_IMAGE_MAX_BYTES = 20 * 1024 * 1024;
+    let crc32Table = null;
+
+    // Conversion settings (see settings.js and the options page)
+    let settings = window.mdcpSettings.merge(null);
+    let turndownService = createTurndownService(settings);
 
     function isSimpleTable(table) {
         if (!table || table.querySelector('table')) return false;
@@ -83,1313 +101,5016 @@
         return true;
     }
 
-    function tableToMarkdown(table) {
-        const rows = Array.from(table.querySelectorAll('tr'));
-        if (rows.length === 0) return '';
+    function parseSpan(value, max) {
+        const span = parseInt(value, 10);
+        if (!Number.isFinite(span) || span < 0) return 1;
+        // rowspan="0" spans to the end of the section
+        if (span === 0) return max;
+        return Math.min(span, max);
+    }
 
-        const rowToCells = (row) => {
-            const cells = Array.from(row.children).filter(el => el.tagName === 'TH' || el.tagName === 'TD');
-            return cells.map(cell => {
-                const text = cell.textContent.replace(/\s+/g, ' ').trim();
-                return text.replace(/\|/g, '\\|');
+    /**
+     * Expand rowspan/colspan into a rectangular grid.
+     * Every slot points at its cell; `origin` marks the top-left slot of a spanned cell.
+     * Also detects header rows (thead or all-<th> rows) and header columns (<th> in every body row).
+     */
+    function buildTableGrid(table) {
+        const rows = Array.from(table.rows || table.querySelectorAll('tr'))
+            .filter(row => row.closest('table') === table);
+        const grid = rows.map(() => []);
+
+        rows.forEach((row, rowIndex) => {
+            let colIndex = 0;
+            Array.from(row.cells || row.children).forEach(cell => {
+                if (cell.tagName !== 'TH' && cell.tagName !== 'TD') return;
+                while (grid[rowIndex][colIndex]) colIndex++;
+                const rowSpan = parseSpan(cell.getAttribute('rowspan'), rows.length - rowIndex);
+                const colSpan = Math.min(Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1), 1000);
+                for (let r = 0; r < rowSpan; r++) {
+                    for (let c = 0; c < colSpan; c++) {
+                        grid[rowIndex + r][colIndex + c] = {
+                            cell,
+                            origin: r === 0 && c === 0,
+                            row: rowIndex,
+                            col: colIndex,
+                            rowSpan,
+                            colSpan
+                        };
+                    }
+                }
+                colIndex += colSpan;
             });
-        };
-
-        let header = [];
-        let bodyStart = 0;
+        });
 
-        const firstRowCells = rowToCells(rows[0]);
-        const firstRowHasTh = rows[0].querySelectorAll('th').length === firstRowCells.length && firstRowCells.length > 0;
+        const width = Math.max(0, ...grid.map(row => row.length));
+        grid.forEach(row => {
+            for (let c = 0; c < width; c++) {
+                if (!row[c]) row[c] = null;
+            }
+        });
 
-        if (firstRowHasTh) {
-            header = firstRowCells;
-            bodyStart = 1;
+        let headerRowCount = 0;
+        const tHead = table.tHead && table.tHead.closest('table') === table ? table.tHead : null;
+        if (tHead && tHead.rows.length > 0) {
+            headerRowCount = rows.filter(row => row.parentElement === tHead).length;
         } else {
-            header = firstRowCells;
-            bodyStart = 1;
+            while (headerRowCount < grid.length - 1 &&
+                grid[headerRowCount].every(slot => slot && slot.cell.tagName === 'TH')) {
+                headerRowCount++;
+            }
+        }
+        // A header cell spanning into the body pulls those rows into the header
+        for (let r = 0; r < headerRowCount; r++) {
+            grid[r].forEach(slot => {
+                if (slot) headerRowCount = Math.max(headerRowCount, Math.min(slot.row + slot.rowSpan, grid.length));
+            });
         }
 
-        const colCount = header.length || Math.max(...rows.map(r => rowToCells(r).length));
-        const normalizeRow = (cells) => {
-            const normalized = cells.slice(0, colCount);
-            while (normalized.length < colCount) normalized.push('');
-            return normalized;
-        };
+        let headerColumnCount = 0;
+        const bodyRows = grid.slice(headerRowCount);
+        while (bodyRows.length > 0 && headerColumnCount < width - 1 &&
+            bodyRows.every(row => row[headerColumnCount] && row[headerColumnCount].cell.tagName === 'TH')) {
+            headerColumnCount++;
+        }
 
-        const headerRow = normalizeRow(header);
-        const separator = headerRow.map(() => '---');
-        const bodyRows = rows.slice(bodyStart).map(row => normalizeRow(rowToCells(row)));
+        return { grid, width, headerRowCount, headerColumnCount };
+    }
 
-        const toLine = (cells) => `| ${cells.join(' | ')} |`;
-        const lines = [
-            toLine(headerRow),
-            toLine(separator),
-            ...bodyRows.map(toLine)
-        ];
-        return lines.join('\n');
+    /**
+     * Run turndown() from inside another conversion. Turndown keeps reference-style links in
+     * one list shared by every instance and empties it at the end of each call, so the outer
+     * document's list is set aside meanwhile.
+     */
+    function turndownNested(service, node) {
+        const referenceRule = service.options.rules && service.options.rules.referenceLink;
+        const outerReferences = referenceRule ? referenceRule.references : null;
+        if (referenceRule) referenceRule.references = [];
+        try {
+            return service.turndown(node);
+        } finally {
+            if (referenceRule) referenceRule.references = outerReferences;
+        }
     }
 
-    turndownService.addRule('tableConversion', {
-        filter: 'table',
-        replacement: function (content, node) {
-            if (isSimpleTable(node)) {
-                const md = tableToMarkdown(node);
-                if (md) {
-                    return `\n\n${md}\n\n`;
-                }
-            }
-            return `\n\n${node.outerHTML}\n\n`;
+    /**
+     * Convert a table cell to Markdown lines; lists and line breaks become separate lines
+     */
+    function getTableCellLines(cell, service) {
+        let markdown;
+        try {
+            markdown = service ? turndownNested(service, cell) : cell.textContent;
+        } catch (error) {
+            markdown = cell.textContent;
         }
-    });
+        const lines = markdown.split('\n').map(line => line.replace(/\s+$/, ''));
+        while (lines.length && !lines[0].trim()) lines.shift();
+        while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+        return lines.filter((line, index) => line.trim() || (lines[index - 1] || '').trim());
+    }
 
-    // Remove unwanted elements
-    turndownService.remove(['script', 'style', 'noscript', 'iframe']);
+    function strongCellText(text, strongDelimiter) {
+        if (!text || text.startsWith(strongDelimiter)) return text;
+        return `${strongDelimiter}${text}${strongDelimiter}`;
+    }
 
-    // Custom rule to handle SVG elements
-    turndownService.addRule('svg', {
-        filter: 'svg',
-        replacement: function () {
-            return '';
+    /**
+     * Display width in a monospace font; CJK and emoji take two columns
+     */
+    function getDisplayWidth(text) {
+        let width = 0;
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            const wide = (code >= 0x1100 && code <= 0x115F) || (code >= 0x2E80 && code <= 0xA4CF) ||
+                (code >= 0xAC00 && code <= 0xD7A3) || (code >= 0xF900 && code <= 0xFAFF) ||
+                (code >= 0xFE30 && code <= 0xFE4F) || (code >= 0xFF00 && code <= 0xFF60) ||
+                (code >= 0xFFE0 && code <= 0xFFE6) || (code >= 0x1F300 && code <= 0x1FAFF);
+            width += wide ? 2 : 1;
         }
-    });
+        return width;
+    }
+
+    function needsGridTable(tableGrid, cellLines) {
+        if (tableGrid.headerRowCount > 1) return true;
+        return tableGrid.grid.some(row => row.some(slot =>
+            slot && slot.origin && (slot.rowSpan > 1 || slot.colSpan > 1 || cellLines.get(slot.cell).length > 1)));
+    }
 
     /**
-     * Show toast notification
+     * GFM pipe table; spanned slots repeat or blank the value, header rows are merged into one
      */
-    function showToast(message, anchor = null) {
-        const toast = document.createElement('div');
-        toast.className = 'mdcp-toast';
-        toast.textContent = message;
-        document.body.appendChild(toast);
+    function gridToPipeTable(tableGrid, cellLines, options) {
+        const { grid, width, headerColumnCount } = tableGrid;
+        const strong = options.strongDelimiter || '**';
+        const cellText = (slot) => slot
+            ? cellLines.get(slot.cell)
+                .map(line => line.trim().replace(/^([*+-]|\d+\.)\s+/, '$1 '))
+                .filter(Boolean)
+                .join('<br>')
+                .replace(/\|/g, '\\|')
+            : '';
+        const slotText = (slot) => {
+            if (!slot) return '';
+            return slot.origin || options.spanFill !== 'blank' ? cellText(slot) : '';
+        };
 
-        if (anchor) {
-            let target = null;
-            if (anchor instanceof Element) {
-                target = anchor;
-            } else if (anchor instanceof MouseEvent || anchor instanceof PointerEvent || anchor.target) {
-                target = anchor.target;
+        let headerRowCount = tableGrid.headerRowCount;
+        if (headerRowCount === 0) headerRowCount = 1;
+
+        const header = [];
+        for (let c = 0; c < width; c++) {
+            const parts = [];
+            for (let r = 0; r < headerRowCount; r++) {
+                const text = cellText(grid[r][c]);
+                if (text && parts[parts.length - 1] !== text) parts.push(text);
             }
+            header.push(parts.join(' / '));
+        }
 
-            if (target && target instanceof Element) {
-                const rect = target.getBoundingClientRect();
-                toast.style.position = 'fixed';
-                toast.style.top = `${Math.max(10, rect.top - 45)}px`;
-                toast.style.left = `${rect.left + rect.width / 2}px`;
-                toast.style.right = 'auto';
-                toast.style.transform = 'translateX(-50%)';
-                toast.style.animation = 'mdcp-fadeInUp 0.3s ease-out, mdcp-fadeOut 0.3s ease-in 2.7s';
+        const bodyRows = grid.slice(headerRowCount).map(row => row.map((slot, c) => {
+            const text = slotText(slot);
+            return c < headerColumnCount ? strongCellText(text, strong) : text;
+        }));
 
-                // If there's no space above, show below
-                if (rect.top < 60) {
-                    toast.style.top = `${rect.bottom + 10}px`;
+        const toLine = (cells) => `| ${cells.join(' | ')} |`;
+        return [
+            toLine(header),
+            toLine(header.map(() => '---')),
+            ...bodyRows.map(toLine)
+        ].join('\n');
+    }
+
+    /**
+     * Pandoc grid table with real row and column spans and multi-line cells
+     */
+    function gridToGridTable(tableGrid, cellLines, options) {
+        const { grid, width, headerRowCount, headerColumnCount } = tableGrid;
+        const strong = options.strongDelimiter || '**';
+        const cells = [];
+        grid.forEach(row => row.forEach(slot => {
+            if (slot && slot.origin) {
+                let lines = cellLines.get(slot.cell);
+                if (slot.col < headerColumnCount && slot.row >= headerRowCount) {
+                    lines = lines.map(line => line.trim() ? strongCellText(line, strong) : line);
+                }
+                cells.push({ ...slot, lines });
+            }
+        }));
+
+        const colWidths = new Array(width).fill(3);
+        const rowHeights = new Array(grid.length).fill(1);
+        const contentWidth = (cell) => Math.max(0, ...cell.lines.map(getDisplayWidth));
+        cells.filter(cell => cell.colSpan === 1).forEach(cell => {
+            colWidths[cell.col] = Math.max(colWidths[cell.col], contentWidth(cell));
+        });
+        cells.filter(cell => cell.rowSpan === 1).forEach(cell => {
+            rowHeights[cell.row] = Math.max(rowHeights[cell.row], cell.lines.length);
+        });
+        cells.filter(cell => cell.colSpan > 1).forEach(cell => {
+            const spanned = colWidths.slice(cell.col, cell.col + cell.colSpan);
+            const available = spanned.reduce((sum, w) => sum + w, 0) + 3 * (cell.colSpan - 1);
+            const needed = contentWidth(cell);
+            if (needed > available) colWidths[cell.col + cell.colSpan - 1] += needed - available;
+        });
+        cells.filter(cell => cell.rowSpan > 1).forEach(cell => {
+            const spanned = rowHeights.slice(cell.row, cell.row + cell.rowSpan);
+            const available = spanned.reduce((sum, h) => sum + h, 0) + (cell.rowSpan - 1);
+            if (cell.lines.length > available) rowHeights[cell.row + cell.rowSpan - 1] += cell.lines.length - available;
+        });
+
+        const xs = [0];
+        colWidths.forEach(w => xs.push(xs[xs.length - 1] + w + 3));
+        const ys = [0];
+        rowHeights.forEach(h => ys.push(ys[ys.length - 1] + h + 1));
+
+        // Draw every cell's box on a character canvas; shared edges overlap exactly
+        const canvas = Array.from({ length: ys[ys.length - 1] + 1 }, () => new Array(xs[xs.length - 1] + 1).fill(' '));
+        const headerLine = headerRowCount > 0 && headerRowCount < grid.length ? ys[headerRowCount] : -1;
+        const boxes = cells.map(cell => ({
+            cell,
+            left: xs[cell.col],
+            right: xs[cell.col + cell.colSpan],
+            top: ys[cell.row],
+            bottom: ys[cell.row + cell.rowSpan]
+        }));
+        boxes.forEach(({ left, right, top, bottom }) => {
+            [top, bottom].forEach(y => {
+                const fill = y === headerLine ? '=' : '-';
+                for (let x = left + 1; x < right; x++) canvas[y][x] = fill;
+            });
+            for (let y = top + 1; y < bottom; y++) {
+                canvas[y][left] = '|';
+                canvas[y][right] = '|';
+            }
+        });
+        // Corners last so a wide neighbour's edge never hides a column boundary
+        boxes.forEach(({ cell, left, right, top, bottom }) => {
+            [left, right].forEach(x => {
+                canvas[top][x] = '+';
+                canvas[bottom][x] = '+';
+            });
+            cell.lines.forEach((line, index) => {
+                let x = left + 2;
+                for (const char of line) {
+                    canvas[top + 1 + index][x] = char;
+                    if (getDisplayWidth(char) === 2) canvas[top + 1 + index][++x] = '';
+                    x++;
                 }
+            });
+        });
+
+        return canvas.map(row => row.join('')).join('\n');
+    }
+
+    /**
+     * Convert a table to Markdown.
+     * options.format: 'gfm' (pipe table), 'grid' (Pandoc grid table) or 'auto' (grid only when needed)
+     * options.spanFill: 'repeat' or 'blank' for the extra slots of spanned cells in pipe tables
+     * options.service: Turndown service used for cell content (plain text when omitted)
+     */
+    function tableToMarkdown(table, options = {}) {
+        const tableGrid = buildTableGrid(table);
+        if (tableGrid.grid.length === 0 || tableGrid.width === 0) return '';
+
+        const cellLines = new Map();
+        tableGrid.grid.forEach(row => row.forEach(slot => {
+            if (slot && !cellLines.has(slot.cell)) {
+                cellLines.set(slot.cell, getTableCellLines(slot.cell, options.service));
             }
+        }));
+
+        const format = options.format || 'gfm';
+        if (format === 'grid' || (format === 'auto' && needsGridTable(tableGrid, cellLines))) {
+            return gridToGridTable(tableGrid, cellLines, options);
         }
+        return gridToPipeTable(tableGrid, cellLines, options);
+    }
 
-        setTimeout(() => {
-            toast.remove();
-        }, 3000);
+    const TABLE_EXPORT_FORMATS = {
+        tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+        csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+    };
+
+    function getTableCellText(cell) {
+        const clone = cell.cloneNode(true);
+        clone.querySelectorAll('br').forEach(br => br.replaceWith(' '));
+        clone.querySelectorAll('li, p, div').forEach(block => block.append(' '));
+        return clone.textContent.replace(/\s+/g, ' ').trim();
     }
 
     /**
-     * Copy text to clipboard
+     * Read a number written with thousands separators (1,234.5 or 1 234,5).
+     * Returns null for anything else, including codes with leading zeros.
      */
-    async function copyToClipboard(text, customMessage = null, anchor = null) {
-        try {
-            await navigator.clipboard.writeText(text);
-            showToast(customMessage || '✓ Markdown이 클립보드에 복사되었습니다!', anchor);
-            return true;
-        } catch (error) {
-            console.error('Failed to copy to clipboard:', error);
-            showToast('✗ 클립보드 복사에 실패했습니다.', anchor);
-            return false;
+    function parseNumericCell(text) {
+        const value = text.trim().replace(/^[\u2212\u2013]/, '-');
+        if (/^[+-]?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(value)) {
+            return Number(value.replace(/,/g, ''));
+        }
+        if (/^[+-]?\d{1,3}(?:[\u00a0\u202f ]\d{3})+(?:[.,]\d+)?$/.test(value)) {
+            return Number(value.replace(/[\u00a0\u202f ]/g, '').replace(',', '.'));
         }
+        if (/^[+-]?(?:0|[1-9]\d*)(?:\.\d+)?$/.test(value)) {
+            return Number(value);
+        }
+        return null;
     }
 
     /**
-     * Escape HTML special chars
+     * Tables in the given elements: the element itself, its table ancestor for a cell,
+     * or the outermost tables inside it
      */
-    function escapeHtml(text) {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;');
+    function findTables(elements) {
+        const tables = [];
+        elements.forEach(element => {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) return;
+            const found = element.tagName === 'TABLE'
+                ? [element]
+                : element.closest('td, th, tr, thead, tbody, tfoot, caption')
+                    ? [element.closest('table')]
+                    : Array.from(element.querySelectorAll('table'))
+                        .filter(table => !table.parentElement.closest('table') ||
+                            !element.contains(table.parentElement.closest('table')));
+            found.forEach(table => {
+                if (table && !tables.includes(table)) tables.push(table);
+            });
+        });
+        return tables;
     }
 
     /**
-     * Sanitize HTML table for safe rendering
+     * Plain-text rows of a table using the rowspan/colspan grid from buildTableGrid()
      */
-    function sanitizeTableHtml(tableHtml) {
-        try {
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(tableHtml, 'text/html');
-            const table = doc.querySelector('table');
-            if (!table) return '';
+    function extractTableData(table, index) {
+        const { grid, width, headerRowCount } = buildTableGrid(table);
+        const textCache = new Map();
+        const cellText = (slot) => {
+            if (!slot) return '';
+            if (!textCache.has(slot.cell)) textCache.set(slot.cell, getTableCellText(slot.cell));
+            return textCache.get(slot.cell);
+        };
+        const slotText = (slot) => slot && (slot.origin || settings.tables.spanFill !== 'blank') ? cellText(slot) : '';
+
+        let header = null;
+        if (headerRowCount > 0) {
+            header = [];
+            for (let c = 0; c < width; c++) {
+                const parts = [];
+                for (let r = 0; r < headerRowCount; r++) {
+                    const text = cellText(grid[r][c]);
+                    if (text && parts[parts.length - 1] !== text) parts.push(text);
+                }
+                header.push(parts.join(' / '));
+            }
+        }
 
-            const allowedTags = new Set([
-                'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TH', 'TD', 'COLGROUP', 'COL',
-                'A', 'IMG', 'SPAN', 'P', 'UL', 'OL', 'LI', 'STRONG', 'EM', 'BR', 'TIME',
-                'DIV', 'BUTTON'
-            ]);
-            const allowedAttrs = new Set([
-                'colspan', 'rowspan', 'align', 'style',
-                'href', 'title', 'target', 'rel',
-                'src', 'alt', 'width', 'height',
-                'datetime', 'class'
-            ]);
+        const caption = table.caption ? getTableCellText(table.caption) : '';
+        return {
+            label: caption || table.getAttribute('aria-label') || `표 ${index + 1}`,
+            header,
+            rows: grid.slice(headerRowCount).map(row => row.map(slotText)),
+            width
+        };
+    }
 
-            const walk = (node) => {
-                const children = Array.from(node.children || []);
-                children.forEach(child => {
-                    if (!allowedTags.has(child.tagName)) {
-                        // Unwrap disallowed tags but keep their text/content
-                        while (child.firstChild) {
-                            child.parentNode.insertBefore(child.firstChild, child);
-                        }
-                        child.remove();
-                        return;
-                    }
+    function collectTableData(elements) {
+        return findTables(elements)
+            .map((table, index) => extractTableData(table, index))
+            .filter(data => data.width > 0 && (data.header || data.rows.length > 0));
+    }
 
-                    Array.from(child.attributes).forEach(attr => {
-                        if (!allowedAttrs.has(attr.name.toLowerCase())) {
-                            child.removeAttribute(attr.name);
-                        }
-                    });
+    function formatDelimitedValue(value, delimiter) {
+        const number = parseNumericCell(value);
+        // Drop thousands separators so spreadsheets read the cell as a number
+        const text = number !== null && /[,\u00a0\u202f ]/.test(value) ? String(number) : value;
+        if (delimiter === '\t') {
+            // Spreadsheets treat a leading quote as the start of a quoted field
+            const flat = text.replace(/[\t\r\n]+/g, ' ');
+            return flat.startsWith('"') ? `"${flat.replace(/"/g, '""')}"` : flat;
+        }
+        return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-                    walk(child);
-                });
-            };
+    function tableDataToDelimited(data, delimiter) {
+        const rows = data.header ? [data.header, ...data.rows] : data.rows;
+        return rows.map(row => row.map(value => formatDelimitedValue(value, delimiter)).join(delimiter)).join('\n');
+    }
 
-            walk(table);
-            return table.outerHTML;
-        } catch (error) {
-            console.error('Failed to sanitize table HTML:', error);
-            return '';
+    /**
+     * Records keyed by header; the first row is the header when the table has none
+     */
+    function tableDataToRecords(data) {
+        let header = data.header;
+        let rows = data.rows;
+        if (!header) {
+            header = rows[0] || [];
+            rows = rows.slice(1);
         }
+        const keys = [];
+        header.forEach((name, index) => {
+            const base = name || `column${index + 1}`;
+            let key = base;
+            for (let n = 2; keys.includes(key); n++) key = `${base}_${n}`;
+            keys.push(key);
+        });
+        return rows.map(row => {
+            const record = {};
+            keys.forEach((key, index) => {
+                const value = row[index] ?? '';
+                const number = parseNumericCell(value);
+                record[key] = number !== null ? number : value;
+            });
+            return record;
+        });
     }
 
     /**
-     * Normalize broken GFM tables with line breaks between pipes
+     * CSV/TSV tables are separated by a blank line; JSON is one record array per table
      */
-    function normalizeMarkdownTables(text) {
-        const segments = text.split(/```/);
-        const normalized = segments.map((segment, index) => {
-            if (index % 2 === 1) {
-                return segment;
-            }
+    function formatTableData(tables, format) {
+        if (format === 'json') {
+            const value = tables.length === 1
+                ? tableDataToRecords(tables[0])
+                : tables.map(data => ({ table: data.label, records: tableDataToRecords(data) }));
+            return JSON.stringify(value, null, 2);
+        }
+        const delimiter = format === 'csv' ? ',' : '\t';
+        return tables.map(data => tableDataToDelimited(data, delimiter)).join('\n\n');
+    }
 
-            const lines = segment.split('\n');
-            const out = [];
-            let i = 0;
-            while (i < lines.length) {
-                const line = lines[i];
-                const trimmed = line.trim();
-                const nextNonEmptyIndex = (() => {
-                    let j = i + 1;
-                    while (j < lines.length && lines[j].trim() === '') j++;
-                    return j;
-                })();
+    function downloadTableData(tables, format, name) {
+        const info = TABLE_EXPORT_FORMATS[format] || TABLE_EXPORT_FORMATS.tsv;
+        const blob = new Blob([formatTableData(tables, format)], { type: `${info.mimeType};charset=utf-8` });
+        downloadBlob(blob, `${name || getDownloadBaseName()}.${info.extension}`);
+    }
 
-                const looksLikeSeparator = (value) => {
-                    if (!value.includes('|')) return false;
-                    const parts = value.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
-                    return parts.length >= 2 && parts.every(part => /^\s*:?-{3,}:?\s*$/.test(part));
-                };
+    const CODE_LANGUAGE_PATTERNS = [
+        /(?:^|\s)language-([\w+#.-]+)/i,
+        /(?:^|\s)lang-([\w+#.-]+)/i,
+        /(?:^|\s)highlight-(?:source|text)-([\w+#.-]+)/i,
+        /(?:^|\s)highlight-(?!source-|text-)([\w+#-]+)/i,
+        /(?:^|\s)brush:\s*([\w+#.-]+)/i,
+        /(?:^|\s)sourceCode\s+([\w+#.-]+)/
+    ];
+    const PLAIN_CODE_LANGUAGES = new Set(['none', 'text', 'plain', 'plaintext', 'nohighlight', 'txt', 'output']);
+    const CODE_LINE_SELECTOR = '.line, .token-line, .code-line, .cm-line, [data-line]';
+    const CODE_GUTTER_SELECTOR = '.line-numbers-rows, .linenos, .lineno, .linenumber, .line-number, .hljs-ln-numbers, .gutter, [aria-hidden="true"].line-numbers';
+    const CODE_BUTTON_SELECTOR = 'button, clipboard-copy, .copy, .copy-button, .copy-code-button, .clipboard, .btn-copy, .code-toolbar > .toolbar';
+    const CODE_WRAPPER_SELECTOR = '.highlight, .code-toolbar, .codehilite, .highlighter-rouge, .snippet-clipboard-content, div[class*="code"], figure[class*="code"]';
+
+    function normalizeCodeLanguage(language) {
+        const value = (language || '').trim().toLowerCase();
+        return PLAIN_CODE_LANGUAGES.has(value) ? '' : value;
+    }
 
-                const isTableStart =
-                    trimmed.includes('|') &&
-                    nextNonEmptyIndex < lines.length &&
-                    looksLikeSeparator(lines[nextNonEmptyIndex]);
+    /**
+     * Read a language hint from a code block, its <code> child or up to three wrappers
+     * (language-*, lang-*, highlight-source-*, brush: *, data-lang / data-language)
+     */
+    function detectCodeLanguage(pre) {
+        const candidates = [pre, pre.querySelector('code')];
+        let ancestor = pre.parentElement;
+        for (let depth = 0; ancestor && depth < 3; depth++) {
+            candidates.push(ancestor);
+            ancestor = ancestor.parentElement;
+        }
 
-                if (!isTableStart) {
-                    out.push(line);
-                    i += 1;
-                    continue;
-                }
+        for (const el of candidates) {
+            if (!el) continue;
+            const dataLang = el.getAttribute('data-lang') || el.getAttribute('data-language');
+            if (dataLang) return normalizeCodeLanguage(dataLang);
+            const className = typeof el.className === 'string' ? el.className : '';
+            for (const pattern of CODE_LANGUAGE_PATTERNS) {
+                const match = pattern.exec(className);
+                if (match) return normalizeCodeLanguage(match[1]);
+            }
+        }
+        return '';
+    }
 
-                const tableLines = [];
-                let inTable = true;
-                while (i < lines.length && inTable) {
-                    const current = lines[i];
-                    const currentTrimmed = current.trim();
+    /**
+     * Get code text with whitespace intact; joins block-level line elements
+     * that don't carry their own newlines (e.g. Shiki/Prism line wrappers)
+     */
+    function getCodeText(pre) {
+        const lines = Array.from(pre.querySelectorAll(CODE_LINE_SELECTOR))
+            .filter(line => !line.parentElement.closest(CODE_LINE_SELECTOR));
+        const text = pre.textContent;
+        if (lines.length > 1 && !text.includes('\n')) {
+            return lines.map(line => line.textContent).join('\n');
+        }
+        return text;
+    }
 
-                    if (currentTrimmed === '') {
-                        tableLines.push(current);
-                        i += 1;
-                        continue;
-                    }
+    function buildCodeFence(code, options) {
+        const fenceChar = options.fence.charAt(0);
+        let fenceSize = 3;
+        const fenceInCodeRegex = new RegExp(`^${fenceChar === '`' ? '`' : '~'}{3,}`, 'gm');
+        let match;
+        while ((match = fenceInCodeRegex.exec(code))) {
+            if (match[0].length >= fenceSize) {
+                fenceSize = match[0].length + 1;
+            }
+        }
+        return fenceChar.repeat(fenceSize);
+    }
 
-                    if (!current.includes('|') && !looksLikeSeparator(current)) {
-                        const hasSeparator = tableLines.some(looksLikeSeparator);
-                        if (hasSeparator) {
-                            inTable = false;
-                            break;
-                        }
-                    }
+    /**
+     * Strip line-number gutters and copy buttons from code blocks in a cloned element
+     * and turn line-numbered code tables back into plain <pre> blocks
+     */
+    function normalizeCodeBlocks(element) {
+        // Pygments: <table class="highlighttable"><td class="linenos">…<td class="code"><pre>
+        element.querySelectorAll('table.highlighttable, table.hljs-ln, table.js-file-line-container').forEach(table => {
+            let pre = table.querySelector('td.code pre');
+            if (!pre) {
+                const codeCells = table.querySelectorAll('td.hljs-ln-code, td.blob-code');
+                if (codeCells.length === 0) return;
+                pre = document.createElement('pre');
+                const code = document.createElement('code');
+                code.textContent = Array.from(codeCells).map(cell => cell.textContent.replace(/\n$/, '')).join('\n');
+                pre.appendChild(code);
+            }
+            const language = detectCodeLanguage(pre) || detectCodeLanguage(table);
+            if (language && !pre.className.includes('language-')) {
+                pre.classList.add(`language-${language}`);
+            }
+            table.replaceWith(pre);
+        });
 
-                    tableLines.push(current);
-                    i += 1;
-                }
+        element.querySelectorAll('pre').forEach(pre => {
+            pre.querySelectorAll(CODE_GUTTER_SELECTOR).forEach(el => el.remove());
+            const wrapper = findCodeBlockWrapper(pre, element);
+            if (!wrapper) return;
+            wrapper.querySelectorAll(CODE_BUTTON_SELECTOR).forEach(el => {
+                if (!el.contains(pre)) el.remove();
+            });
+        });
+    }
 
-                const rows = [];
-                let rowBuffer = '';
-                const pushRow = () => {
-                    if (rowBuffer.trim() !== '') {
-                        rows.push(rowBuffer.trim());
-                        rowBuffer = '';
-                    }
-                };
+    /**
+     * Controls (copy buttons, toolbars) holding no text besides the controls themselves
+     */
+    function isCodeControl(node) {
+        if (node.matches(CODE_BUTTON_SELECTOR)) return true;
+        const controls = Array.from(node.querySelectorAll(CODE_BUTTON_SELECTOR));
+        if (controls.length === 0) return false;
+        const controlText = controls.reduce((length, control) => length + control.textContent.trim().length, 0);
+        return node.textContent.trim().length <= controlText;
+    }
 
-                for (let t = 0; t < tableLines.length; t++) {
-                    const raw = tableLines[t];
-                    const tline = raw.trim();
-                    const isSeparator = looksLikeSeparator(raw);
+    /**
+     * The element around a <pre> whose copy buttons belong to that code block: a known
+     * code-block wrapper (parent or grandparent) holding only this <pre>, or a parent whose
+     * other children are all controls. Arbitrary containers are never searched.
+     */
+    function findCodeBlockWrapper(pre, root) {
+        const parent = pre.parentElement;
+        if (!parent || !root.contains(parent)) return null;
 
-                    if (tline === '') {
-                        if (rowBuffer !== '') {
-                            rowBuffer += ' ';
-                        }
-                        continue;
-                    }
+        const candidates = [parent, parent.parentElement].filter(el => el && root.contains(el));
+        const known = candidates.find(el => el.matches(CODE_WRAPPER_SELECTOR) && el.querySelectorAll('pre').length === 1);
+        if (known) return known;
 
-                    if (isSeparator) {
-                        pushRow();
-                        rows.push(tline);
-                        continue;
-                    }
+        const others = Array.from(parent.children).filter(child => child !== pre);
+        return others.length > 0 && others.every(isCodeControl) ? parent : null;
+    }
 
-                    if (rowBuffer === '') {
-                        rowBuffer = raw;
-                        continue;
-                    }
+    const TEX_ANNOTATION_SELECTOR = 'annotation[encoding="application/x-tex"], annotation[encoding="TeX"]';
+    const MATHJAX2_OUTPUT_SELECTOR = '.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display, .MathJax_CHTML';
 
-                    if (raw.includes('|') && rowBuffer.includes('|') && rowBuffer.trim().endsWith('|')) {
-                        pushRow();
-                        rowBuffer = raw;
-                        continue;
-                    }
+    /**
+     * Remove unwrapping helpers like {\displaystyle ...} that Wikipedia adds around TeX
+     */
+    function cleanTexSource(tex) {
+        let value = (tex || '').trim();
+        const wrapped = /^\{\\(?:displaystyle|textstyle)\s*([\s\S]*)\}$/.exec(value);
+        if (wrapped) value = wrapped[1].trim();
+        return value;
+    }
 
-                    rowBuffer += ` ${tline}`;
-                }
-                pushRow();
+    function formatMath(tex, display) {
+        const source = cleanTexSource(tex);
+        if (!source) return '';
+        return display ? `\n\n$$\n${source}\n$$\n\n` : `$${source}$`;
+    }
 
-                out.push(...rows);
-            }
+    /**
+     * Find the TeX source for a rendered math element (MathJax 3, KaTeX, MathML, Wikipedia)
+     */
+    function getTexSource(node) {
+        const annotation = node.querySelector(TEX_ANNOTATION_SELECTOR);
+        if (annotation) return annotation.textContent;
+        const attr = node.getAttribute('data-latex') || node.getAttribute('data-tex') || node.getAttribute('alttext');
+        if (attr) return attr;
+        const math = node.nodeName.toLowerCase() === 'math' ? node : node.querySelector('math');
+        if (math && math.getAttribute('alttext')) return math.getAttribute('alttext');
+        const fallbackImage = node.querySelector('img.mwe-math-fallback-image-inline, img.mwe-math-fallback-image-display, img[alt]');
+        if (fallbackImage && fallbackImage.getAttribute('alt')) return fallbackImage.getAttribute('alt');
+        const assistive = node.querySelector('mjx-assistive-mml');
+        return (assistive || node).textContent.replace(/\s+/g, ' ');
+    }
 
-            return out.join('\n');
+    /**
+     * Drop MathJax 2 rendered output; the math/tex scripts next to it carry the source.
+     * MathJax 3 containers also use the MathJax class but hold their own source.
+     */
+    function normalizeMath(element) {
+        if (!element.querySelector('script[type^="math/tex"]')) return;
+        element.querySelectorAll(MATHJAX2_OUTPUT_SELECTOR).forEach(el => {
+            if (el.nodeName !== 'MJX-CONTAINER' && !el.closest('mjx-container')) el.remove();
         });
-        return normalized.join('```');
     }
 
-    function normalizeMarkdownForRendering(markdown) {
-        // Remove up to 3 leading spaces before ATX headings so they render as headers
-        return markdown.replace(/^\s{1,3}(#{1,6}\s+)/gm, '$1');
-    }
+    /**
+     * Build a Turndown converter from the current settings and optional site rules
+     */
+    function createTurndownService(currentSettings, siteRules = []) {
+        const service = new TurndownService({ ...currentSettings.turndown });
+
+        // Add GFM plugin rules for table support, strikethrough, etc.
+        if (typeof turndownPluginGfm !== 'undefined') {
+            const plugins = Object.keys(currentSettings.gfm)
+                .filter(name => currentSettings.gfm[name] && typeof turndownPluginGfm[name] === 'function')
+                .map(name => turndownPluginGfm[name]);
+            service.use(plugins);
+        }
 
-    function markdownToHtml(markdown) {
-        const tableTokens = [];
-        const markdownWithTables = markdown.replace(/<table[\s\S]*?<\/table>/gi, (match) => {
-            const sanitized = sanitizeTableHtml(match);
-            const token = `[[MDCP_TABLE_${tableTokens.length}]]`;
-            tableTokens.push(sanitized || '');
-            return token;
+        // Cell content goes through its own converter with inline links: a nested turndown()
+        // call on this service would flush the outer document's reference link definitions
+        let cellService = null;
+        const getCellService = () => {
+            if (!cellService) {
+                const cellSettings = { ...currentSettings, turndown: { ...currentSettings.turndown, linkStyle: 'inlined' } };
+                cellService = createTurndownService(cellSettings, siteRules);
+            }
+            return cellService;
+        };
+        // Footnote definitions are converted on their own too and need the same inline links
+        service.getInlineLinkService = getCellService;
+
+        // Tables: nested tables stay HTML, 'html' keeps the old fallback for complex tables
+        const tableSettings = currentSettings.tables;
+        service.addRule('tableConversion', {
+            filter: 'table',
+            replacement: function (content, node) {
+                const keepHtml = node.querySelector('table') ||
+                    (tableSettings.format === 'html' && !isSimpleTable(node));
+                if (!keepHtml) {
+                    const md = tableToMarkdown(node, {
+                        format: tableSettings.format === 'html' ? 'gfm' : tableSettings.format,
+                        spanFill: tableSettings.spanFill,
+                        strongDelimiter: currentSettings.turndown.strongDelimiter,
+                        service: getCellService()
+                    });
+                    if (md) {
+                        return `\n\n${md}\n\n`;
+                    }
+                }
+                return `\n\n${node.outerHTML}\n\n`;
+            }
         });
 
-        if (typeof marked === 'undefined') {
-            return `<pre><code>${escapeHtml(markdownWithTables)}</code></pre>`;
+        // Table content is converted again cell by cell, so the first pass over it must not
+        // register reference definitions for the links it throws away
+        if (currentSettings.turndown.linkStyle === 'referenced') {
+            service.addRule('tableLinkFirstPass', {
+                filter: node => node.nodeName === 'A' && !!node.getAttribute('href') && !!node.closest('table'),
+                replacement: content => content
+            });
         }
 
-        const normalizedMarkdown = normalizeMarkdownForRendering(
-            normalizeMarkdownTables(markdownWithTables)
-        );
+        // Remove unwanted elements
+        service.remove(['script', 'style', 'noscript', 'iframe']);
 
-        marked.setOptions({
-            gfm: true,
-            breaks: true,
-            mangle: false,
-            headerIds: false
+        // Custom rule to handle SVG elements
+        service.addRule('svg', {
+            filter: 'svg',
+            replacement: function () {
+                return '';
+            }
         });
 
-        let rendered = '';
-        try {
-            rendered = marked.parse(normalizedMarkdown);
-        } catch (error) {
-            console.error('Marked render failed:', error);
-            rendered = `<pre><code>${escapeHtml(normalizedMarkdown)}</code></pre>`;
-        }
-        tableTokens.forEach((tableHtml, index) => {
-            const token = `[[MDCP_TABLE_${index}]]`;
-            rendered = rendered.replaceAll(token, tableHtml || '');
+        // Figures: images with the caption as fallback alt text and an emphasized caption line
+        service.addRule('figureCaption', {
+            filter: function (node) {
+                return node.nodeName === 'FIGURE' && !!node.querySelector('img') &&
+                    !!node.querySelector('figcaption') && !node.querySelector('pre, table');
+            },
+            replacement: function (content, node, options) {
+                const caption = node.querySelector('figcaption').textContent.replace(/\s+/g, ' ').trim();
+                const images = Array.from(node.querySelectorAll('img'))
+                    .filter(img => img.getAttribute('src'))
+                    .map(img => {
+                        const alt = (img.getAttribute('alt') || caption).replace(/\s+/g, ' ').replace(/([[\]])/g, '\\$1');
+                        const title = (img.getAttribute('title') || '').replace(/"/g, '\\"');
+                        return `![${alt}](${img.getAttribute('src')}${title ? ` "${title}"` : ''})`;
+                    });
+                if (images.length === 0) return content;
+                const captionLine = caption ? `\n\n${options.emDelimiter}${service.escape(caption)}${options.emDelimiter}` : '';
+                return `\n\n${images.join('\n')}${captionLine}\n\n`;
+            }
+        });
+
+        // MathJax 2 keeps TeX in <script type="math/tex[; mode=display]">
+        service.addRule('mathJaxScript', {
+            filter: function (node) {
+                return node.nodeName === 'SCRIPT' && /^math\/tex/i.test(node.getAttribute('type') || '');
+            },
+            replacement: function (content, node) {
+                return formatMath(node.textContent, /mode\s*=\s*display/i.test(node.getAttribute('type')));
+            }
+        });
+
+        // MathJax 3, KaTeX, Wikipedia math and plain MathML
+        service.addRule('renderedMath', {
+            filter: function (node) {
+                const name = node.nodeName.toLowerCase();
+                if (name === 'mjx-container' || name === 'math') {
+                    return !node.parentElement || !node.parentElement.closest('.katex, .mwe-math-element, mjx-container');
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return false;
+                if (node.classList.contains('katex-display') || node.classList.contains('mwe-math-element')) return true;
+                return node.classList.contains('katex') && !node.parentElement?.closest('.katex-display');
+            },
+            replacement: function (content, node) {
+                const name = node.nodeName.toLowerCase();
+                const display =
+                    node.classList?.contains('katex-display') ||
+                    (name === 'mjx-container' && node.getAttribute('display') === 'true') ||
+                    (name === 'math' && node.getAttribute('display') === 'block') ||
+                    !!node.querySelector('.mwe-math-mathml-display, math[display="block"]');
+                return formatMath(getTexSource(node), display);
+            }
+        });
+
+        // Footnote markers left by applyFootnotes()
+        service.addRule('footnoteReference', {
+            filter: function (node) {
+                return node.nodeName === 'MDCP-FOOTNOTE-REF';
+            },
+            replacement: function (content, node) {
+                return `[^${node.textContent.trim()}]`;
+            }
+        });
+
+        // Fenced code blocks with the language taken from highlighter class names
+        service.addRule('codeBlockLanguage', {
+            filter: function (node, options) {
+                return options.codeBlockStyle === 'fenced' && node.nodeName === 'PRE';
+            },
+            replacement: function (content, node, options) {
+                const code = getCodeText(node);
+                if (!code.trim()) return '';
+                const language = detectCodeLanguage(node);
+                const fence = buildCodeFence(code, options);
+                return `\n\n${fence}${language}\n${code.replace(/\n$/, '')}\n${fence}\n\n`;
+            }
         });
-        return rendered || '<p>(내용 없음)</p>';
+
+        return addSiteTurndownRules(service, siteRules);
     }
 
     /**
-     * Extract links from markdown text
+     * Match a site rule pattern against a URL.
+     * "/.../" is a regular expression, a pattern with "*" or a scheme is a glob
+     * over the full URL, anything else is a hostname (subdomains included).
      */
-    function extractLinksFromMarkdown(markdown) {
-        const links = new Set();
-        const linkRegex = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
-        const autoLinkRegex = /<\s*(https?:\/\/[^>]+)\s*>/g;
-        const bareUrlRegex = /(https?:\/\/[^\s)]+)\b/g;
-
-        let match;
-        while ((match = linkRegex.exec(markdown)) !== null) {
-            links.add(match[2]);
-        }
-        while ((match = autoLinkRegex.exec(markdown)) !== null) {
-            links.add(match[1]);
-        }
-        while ((match = bareUrlRegex.exec(markdown)) !== null) {
-            links.add(match[1]);
+    function matchesUrlPattern(pattern, url = window.location.href) {
+        const trimmed = (pattern || '').trim();
+        if (!trimmed) return false;
+        try {
+            if (trimmed.length > 2 && trimmed.startsWith('/') && trimmed.endsWith('/')) {
+                return new RegExp(trimmed.slice(1, -1)).test(url);
+            }
+            if (trimmed.includes('*') || trimmed.includes('://')) {
+                const escaped = trimmed.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+                return new RegExp(`^${escaped}$`).test(url);
+            }
+            const hostname = new URL(url).hostname;
+            return hostname === trimmed || hostname.endsWith(`.${trimmed}`);
+        } catch (error) {
+            console.warn('Invalid site rule pattern:', pattern, error);
+            return false;
         }
+    }
 
-        return Array.from(links);
+    function getActiveSiteRules() {
+        const rules = Array.isArray(settings.siteRules) ? settings.siteRules : [];
+        if (window.mdcpSettings.validateSiteRules(rules).length > 0) {
+            console.warn('Ignoring invalid site rules; fix them on the options page.');
+            return [];
+        }
+        return rules.filter(rule => matchesUrlPattern(rule.match));
     }
 
-    function extractYouTubeWatchLinks(markdown) {
-        const links = extractLinksFromMarkdown(markdown);
-        const watchLinks = links.filter(link => {
-            return link.includes('youtube.com/watch') || link.includes('youtu.be/');
-        });
-        return Array.from(new Set(watchLinks));
+    function safeQuerySelectorAll(root, selector) {
+        try {
+            return Array.from(root.querySelectorAll(selector));
+        } catch (error) {
+            console.warn('Invalid selector in site rule:', selector, error);
+            return [];
+        }
     }
 
-    function isYouTubeWatchPage() {
-        return window.location.hostname.includes('youtube.com') && window.location.pathname === '/watch';
+    /**
+     * Apply site rule cleanup (expand hidden sections, remove selectors) to a cloned element
+     */
+    function applySiteRulesToClone(element, rules) {
+        rules.forEach(rule => {
+            (rule.expand || []).forEach(selector => {
+                safeQuerySelectorAll(element, selector).forEach(el => {
+                    el.removeAttribute('hidden');
+                    el.removeAttribute('aria-hidden');
+                    if (el.tagName === 'DETAILS') el.setAttribute('open', '');
+                    el.style.removeProperty('display');
+                    el.style.removeProperty('max-height');
+                });
+            });
+            (rule.remove || []).forEach(selector => {
+                safeQuerySelectorAll(element, selector).forEach(el => el.remove());
+            });
+        });
     }
 
-    function getYouTubePlayerResponse() {
-        if (cachedPlayerResponse) {
-            return cachedPlayerResponse;
-        }
-        if (window.ytInitialPlayerResponse) {
-            return window.ytInitialPlayerResponse;
-        }
-        const playerResponse = window.ytplayer?.config?.args?.player_response;
-        if (typeof playerResponse === 'string') {
+    /**
+     * Find the main content declared by a matching site rule
+     */
+    function findSiteRuleMainContent(rules = getActiveSiteRules()) {
+        for (const rule of rules) {
+            if (!rule.main) continue;
             try {
-                return JSON.parse(playerResponse);
+                const main = document.querySelector(rule.main);
+                if (main) return main;
             } catch (error) {
-                console.warn('Failed to parse player_response JSON:', error);
+                console.warn('Invalid main selector in site rule:', rule.main, error);
             }
         }
         return null;
     }
 
-    function injectPlayerResponseProbe() {
-        if (playerResponseScriptInjected) return;
-        try {
-            const script = document.createElement('script');
-            script.src = chrome.runtime.getURL('yt-bridge.js');
-            script.onload = () => script.remove();
-            (document.documentElement || document.head || document.body).appendChild(script);
-            playerResponseScriptInjected = true;
-        } catch (error) {
-            console.warn('Failed to inject player response probe:', error);
-        }
+    function fillRuleTemplate(template, content, node) {
+        return template.replace(/\{\{\s*(content|text|attr:([\w:-]+))\s*\}\}/g, (match, key, attrName) => {
+            if (key === 'content') return content.trim();
+            if (key === 'text') return (node.textContent || '').replace(/\s+/g, ' ').trim();
+            return node.getAttribute(attrName) || '';
+        });
     }
 
-    function resetPlayerResponseCache() {
-        cachedPlayerResponse = null;
-        cachedPlayerResponseSource = '';
-        playerResponseReadyAt = 0;
-        playerResponseScriptInjected = false;
+    /**
+     * Add Turndown rules declared by site rules; later rules take precedence
+     */
+    function addSiteTurndownRules(service, rules) {
+        rules.forEach((rule, ruleIndex) => {
+            (rule.turndown || []).forEach((item, itemIndex) => {
+                const matches = (node) => {
+                    try {
+                        return node.nodeType === Node.ELEMENT_NODE && node.matches(item.selector);
+                    } catch (error) {
+                        return false;
+                    }
+                };
+                service.addRule(`siteRule_${ruleIndex}_${itemIndex}`, {
+                    filter: matches,
+                    replacement: function (content, node) {
+                        if (item.remove) return '';
+                        const output = fillRuleTemplate(item.replacement, content, node);
+                        return item.block ? `\n\n${output}\n\n` : output;
+                    }
+                });
+            });
+        });
+        return service;
     }
 
-    function setupYouTubeObservers() {
-        if (youTubeObserversInstalled) return;
-        youTubeObserversInstalled = true;
-
-        const handler = () => {
-            resetPlayerResponseCache();
-            injectPlayerResponseProbe();
-        };
+    /**
+     * Converter for the current page: the shared one, or one extended with site rules
+     */
+    function getTurndownServiceForRules(rules) {
+        if (!rules.some(rule => Array.isArray(rule.turndown) && rule.turndown.length > 0)) {
+            return turndownService;
+        }
+        return createTurndownService(settings, rules);
+    }
 
-        window.addEventListener('yt-navigate-finish', handler);
-        window.addEventListener('yt-page-data-updated', handler);
+    function applySettings(nextSettings) {
+        settings = nextSettings;
+        turndownService = createTurndownService(settings);
+        updateInlineImagesButton();
+        updateFloatingButtonVisibility();
     }
 
-    function startPlayerResponsePolling() {
-        let attempts = 0;
-        const interval = setInterval(() => {
-            attempts += 1;
-            injectPlayerResponseProbe();
-            if (cachedPlayerResponse || attempts >= 10) {
-                clearInterval(interval);
-            }
-        }, 500);
+    async function loadSettings() {
+        applySettings(await window.mdcpSettings.load());
+        window.mdcpSettings.onChange(applySettings);
     }
 
-    function ensurePlayerResponse(timeoutMs = 1500) {
-        return new Promise(resolve => {
-            if (cachedPlayerResponse && Date.now() - playerResponseReadyAt < 60000) {
-                resolve(cachedPlayerResponse);
-                return;
+    /**
+     * Position a toast next to the anchor element or event target
+     */
+    function positionToast(toast, anchor, persistent = false) {
+        if (anchor) {
+            let target = null;
+            if (anchor instanceof Element) {
+                target = anchor;
+            } else if (anchor instanceof MouseEvent || anchor instanceof PointerEvent || anchor.target) {
+                target = anchor.target;
             }
 
-            const requestId = `mdcp_pr_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+            const rect = target && target instanceof Element ? target.getBoundingClientRect() : null;
+            // Hidden anchors (e.g. the floating button when disabled) keep the default position
+            if (rect && (rect.width > 0 || rect.height > 0)) {
+                toast.style.position = 'fixed';
+                toast.style.top = `${Math.max(10, rect.top - 45)}px`;
+                toast.style.left = `${rect.left + rect.width / 2}px`;
+                toast.style.right = 'auto';
+                toast.style.transform = 'translateX(-50%)';
+                toast.style.animation = persistent
+                    ? 'mdcp-fadeInUp 0.3s ease-out'
+                    : 'mdcp-fadeInUp 0.3s ease-out, mdcp-fadeOut 0.3s ease-in 2.7s';
 
-            const listener = (event) => {
-                if (event.source !== window) return;
-                const data = event.data;
-                if (!data || data.type !== 'MDCP_GET_PLAYER_RESPONSE_RESULT') return;
-                if (data.requestId !== requestId) return;
-                window.removeEventListener('message', listener);
-                if (data.response) {
-                    cachedPlayerResponse = data.response;
-                    cachedPlayerResponseSource = data.source || '';
-                    playerResponseReadyAt = Date.now();
+                // If there's no space above, show below
+                if (rect.top < 60) {
+                    toast.style.top = `${rect.bottom + 10}px`;
                 }
-                resolve(cachedPlayerResponse);
-            };
+            }
+        }
+    }
 
-            window.addEventListener('message', listener);
-            injectPlayerResponseProbe();
+    /**
+     * Show toast notification
+     */
+    function showToast(message, anchor = null) {
+        const toast = document.createElement('div');
+        toast.className = 'mdcp-toast';
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        positionToast(toast, anchor);
+
+        setTimeout(() => {
+            toast.remove();
+        }, 3000);
+    }
+
+    /**
+     * Show a toast that stays visible until closed, for long-running work
+     */
+    function showProgressToast(message, anchor = null) {
+        const toast = document.createElement('div');
+        toast.className = 'mdcp-toast mdcp-toast-progress';
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        positionToast(toast, anchor, true);
+
+        return {
+            update(nextMessage) {
+                toast.textContent = nextMessage;
+            },
+            close() {
+                toast.remove();
+            }
+        };
+    }
+
+    /**
+     * Copy text to clipboard
+     */
+    async function copyToClipboard(text, customMessage = null, anchor = null) {
+        try {
+            await navigator.clipboard.writeText(text);
+            showToast(customMessage || '✓ Markdown이 클립보드에 복사되었습니다!', anchor);
+            return true;
+        } catch (error) {
+            console.error('Failed to copy to clipboard:', error);
+            showToast('✗ 클립보드 복사에 실패했습니다.', anchor);
+            return false;
+        }
+    }
+
+    /**
+     * Copy text/plain together with a text/html flavor; falls back to plain text
+     * where rich clipboard writes are unavailable
+     */
+    async function copyRichTextToClipboard(text, getHtml, customMessage = null, anchor = null) {
+        if (typeof ClipboardItem === 'undefined' || !navigator.clipboard.write) {
+            return copyToClipboard(text, customMessage, anchor);
+        }
+
+        try {
+            const html = getHtml();
+            await navigator.clipboard.write([
+                new ClipboardItem({
+                    'text/plain': new Blob([text], { type: 'text/plain' }),
+                    'text/html': new Blob([html], { type: 'text/html' })
+                })
+            ]);
+            showToast(customMessage || '✓ Markdown이 클립보드에 복사되었습니다!', anchor);
+            return true;
+        } catch (error) {
+            console.warn('Rich clipboard write failed, falling back to plain text:', error);
+            return copyToClipboard(text, customMessage, anchor);
+        }
+    }
+
+    /**
+     * Copy Markdown as text/plain together with rendered, sanitized text/html
+     * so it pastes as Markdown in editors and as formatted text in rich-text apps
+     */
+    function copyMarkdownToClipboard(markdown, customMessage = null, anchor = null) {
+        return copyRichTextToClipboard(markdown, () => sanitizeHtml(markdownToHtml(markdown)), customMessage, anchor);
+    }
+
+    /**
+     * Copy a non-Markdown output; cleaned HTML also goes out as text/html so it pastes formatted
+     */
+    function copyOutputToClipboard(output, format, customMessage = null, anchor = null) {
+        if (format === 'html') {
+            return copyRichTextToClipboard(output, () => output, customMessage, anchor);
+        }
+        return copyToClipboard(output, customMessage, anchor);
+    }
+
+    /**
+     * Escape HTML special chars
+     */
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Sanitize HTML table for safe rendering
+     */
+    function sanitizeTableHtml(tableHtml) {
+        try {
+            const parser = new DOMParser();
+            const doc = parser.parseFromString(tableHtml, 'text/html');
+            const table = doc.querySelector('table');
+            if (!table) return '';
+
+            const allowedTags = new Set([
+                'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TH', 'TD', 'COLGROUP', 'COL',
+                'A', 'IMG', 'SPAN', 'P', 'UL', 'OL', 'LI', 'STRONG', 'EM', 'BR', 'TIME',
+                'DIV', 'BUTTON'
+            ]);
+            const allowedAttrs = new Set([
+                'colspan', 'rowspan', 'align', 'style',
+                'href', 'title', 'target', 'rel',
+                'src', 'alt', 'width', 'height',
+                'datetime', 'class'
+            ]);
+
+            const walk = (node) => {
+                const children = Array.from(node.children || []);
+                children.forEach(child => {
+                    if (!allowedTags.has(child.tagName)) {
+                        // Unwrap disallowed tags but keep their text/content
+                        while (child.firstChild) {
+                            child.parentNode.insertBefore(child.firstChild, child);
+                        }
+                        child.remove();
+                        return;
+                    }
+
+                    Array.from(child.attributes).forEach(attr => {
+                        if (!allowedAttrs.has(attr.name.toLowerCase())) {
+                            child.removeAttribute(attr.name);
+                        }
+                    });
+
+                    walk(child);
+                });
+            };
+
+            walk(table);
+            return table.outerHTML;
+        } catch (error) {
+            console.error('Failed to sanitize table HTML:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Sanitize rendered HTML for the clipboard: keep document structure and safe links only
+     */
+    function sanitizeHtml(html) {
+        try {
+            const doc = new DOMParser().parseFromString(`<!doctype html><body>${html}`, 'text/html');
+
+            const droppedTags = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'FORM', 'LINK', 'META', 'TEMPLATE']);
+            const allowedTags = new Set([
+                'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'P', 'BR', 'HR', 'BLOCKQUOTE', 'PRE', 'CODE',
+                'UL', 'OL', 'LI', 'DL', 'DT', 'DD',
+                'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TH', 'TD', 'CAPTION', 'COLGROUP', 'COL',
+                'A', 'IMG', 'STRONG', 'B', 'EM', 'I', 'U', 'S', 'DEL', 'MARK', 'SUB', 'SUP', 'SPAN', 'DIV',
+                'FIGURE', 'FIGCAPTION'
+            ]);
+            const allowedAttrs = new Set(['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'align', 'start']);
+            const safeUrl = (name, value) => {
+                const trimmed = value.trim();
+                if (name === 'src') return /^(https?:|data:image\/)/i.test(trimmed);
+                return /^(https?:|mailto:|#)/i.test(trimmed);
+            };
+
+            const walk = (node) => {
+                Array.from(node.children || []).forEach(child => {
+                    if (droppedTags.has(child.tagName)) {
+                        child.remove();
+                        return;
+                    }
+                    if (!allowedTags.has(child.tagName)) {
+                        // Unwrap disallowed tags but keep their content
+                        walk(child);
+                        while (child.firstChild) {
+                            child.parentNode.insertBefore(child.firstChild, child);
+                        }
+                        child.remove();
+                        return;
+                    }
+
+                    Array.from(child.attributes).forEach(attr => {
+                        const name = attr.name.toLowerCase();
+                        // Code block language hints survive as the only allowed class
+                        if (name === 'class' && child.tagName === 'CODE' && /^language-[\w+#.-]+$/.test(attr.value)) return;
+                        if (!allowedAttrs.has(name) ||
+                            ((name === 'href' || name === 'src') && !safeUrl(name, attr.value))) {
+                            child.removeAttribute(attr.name);
+                        }
+                    });
+
+                    walk(child);
+                });
+            };
+
+            walk(doc.body);
+            return doc.body.innerHTML;
+        } catch (error) {
+            console.error('Failed to sanitize HTML:', error);
+            return escapeHtml(html);
+        }
+    }
+
+    /**
+     * Normalize broken GFM tables with line breaks between pipes
+     */
+    function normalizeMarkdownTables(text) {
+        const segments = text.split(/```/);
+        const normalized = segments.map((segment, index) => {
+            if (index % 2 === 1) {
+                return segment;
+            }
+
+            const lines = segment.split('\n');
+            const out = [];
+            let i = 0;
+            while (i < lines.length) {
+                const line = lines[i];
+                const trimmed = line.trim();
+                const nextNonEmptyIndex = (() => {
+                    let j = i + 1;
+                    while (j < lines.length && lines[j].trim() === '') j++;
+                    return j;
+                })();
+
+                const looksLikeSeparator = (value) => {
+                    if (!value.includes('|')) return false;
+                    const parts = value.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
+                    return parts.length >= 2 && parts.every(part => /^\s*:?-{3,}:?\s*$/.test(part));
+                };
+
+                const isTableStart =
+                    trimmed.includes('|') &&
+                    nextNonEmptyIndex < lines.length &&
+                    looksLikeSeparator(lines[nextNonEmptyIndex]);
+
+                if (!isTableStart) {
+                    out.push(line);
+                    i += 1;
+                    continue;
+                }
+
+                const tableLines = [];
+                let inTable = true;
+                while (i < lines.length && inTable) {
+                    const current = lines[i];
+                    const currentTrimmed = current.trim();
+
+                    if (currentTrimmed === '') {
+                        tableLines.push(current);
+                        i += 1;
+                        continue;
+                    }
+
+                    if (!current.includes('|') && !looksLikeSeparator(current)) {
+                        const hasSeparator = tableLines.some(looksLikeSeparator);
+                        if (hasSeparator) {
+                            inTable = false;
+                            break;
+                        }
+                    }
+
+                    tableLines.push(current);
+                    i += 1;
+                }
+
+                const rows = [];
+                let rowBuffer = '';
+                const pushRow = () => {
+                    if (rowBuffer.trim() !== '') {
+                        rows.push(rowBuffer.trim());
+                        rowBuffer = '';
+                    }
+                };
+
+                for (let t = 0; t < tableLines.length; t++) {
+                    const raw = tableLines[t];
+                    const tline = raw.trim();
+                    const isSeparator = looksLikeSeparator(raw);
+
+                    if (tline === '') {
+                        if (rowBuffer !== '') {
+                            rowBuffer += ' ';
+                        }
+                        continue;
+                    }
+
+                    if (isSeparator) {
+                        pushRow();
+                        rows.push(tline);
+                        continue;
+                    }
+
+                    if (rowBuffer === '') {
+                        rowBuffer = raw;
+                        continue;
+                    }
+
+                    if (raw.includes('|') && rowBuffer.includes('|') && rowBuffer.trim().endsWith('|')) {
+                        pushRow();
+                        rowBuffer = raw;
+                        continue;
+                    }
+
+                    rowBuffer += ` ${tline}`;
+                }
+                pushRow();
+
+                out.push(...rows);
+            }
+
+            return out.join('\n');
+        });
+        return normalized.join('```');
+    }
+
+    function normalizeMarkdownForRendering(markdown) {
+        // Remove up to 3 leading spaces before ATX headings so they render as headers
+        return markdown.replace(/^\s{1,3}(#{1,6}\s+)/gm, '$1');
+    }
+
+    /**
+     * Pull "[^label]: text" definitions (with indented continuation lines) out of Markdown
+     */
+    function extractFootnoteDefinitions(markdown) {
+        const definitions = new Map();
+        const kept = [];
+        let current = null;
+        let inFence = false;
+
+        markdown.split('\n').forEach(line => {
+            if (/^(```|~~~)/.test(line)) inFence = !inFence;
+            const match = inFence ? null : /^\[\^([^\]\s]+)\]:\s?(.*)$/.exec(line);
+            if (match) {
+                current = [match[2]];
+                definitions.set(match[1], current);
+                return;
+            }
+            if (current && (/^( {4}|\t)/.test(line) || !line.trim())) {
+                current.push(line.replace(/^( {4}|\t)/, ''));
+                return;
+            }
+            if (current) kept.push('');
+            current = null;
+            kept.push(line);
+        });
+
+        definitions.forEach((lines, label) => definitions.set(label, lines.join('\n').trim()));
+        return { markdown: kept.join('\n'), definitions, order: [] };
+    }
+
+    function renderFootnoteDefinitions(footnotes) {
+        // Definitions without a reference still show up, after the referenced ones
+        footnotes.definitions.forEach((text, label) => {
+            if (!footnotes.order.includes(label)) footnotes.order.push(label);
+        });
+        if (footnotes.order.length === 0) return '';
+
+        const items = footnotes.order.map((label, index) => {
+            const number = index + 1;
+            let body = escapeHtml(footnotes.definitions.get(label));
+            try {
+                body = marked.parse(footnotes.definitions.get(label)).trim().replace(/^<p>((?:(?!<\/?p>)[\s\S])*)<\/p>$/, '$1');
+            } catch (error) {
+                console.error('Failed to render footnote:', error);
+            }
+            return `<li id="mdcp-fn-${number}">${body} <a href="#mdcp-fnref-${number}" class="mdcp-footnote-backref">↩</a></li>`;
+        }).join('');
+        return `<section class="mdcp-footnotes"><ol>${items}</ol></section>`;
+    }
+
+    function markdownToHtml(markdown) {
+        // Show YAML front matter as-is instead of letting it render as a heading
+        let frontMatterHtml = '';
+        const frontMatterMatch = /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(markdown);
+        if (frontMatterMatch) {
+            frontMatterHtml = `<pre class="mdcp-preview-front-matter">${escapeHtml(frontMatterMatch[1])}</pre>`;
+            markdown = markdown.slice(frontMatterMatch[0].length);
+        }
+
+        const footnotes = extractFootnoteDefinitions(markdown);
+        markdown = footnotes.markdown;
+
+        // Keep $...$ / $$...$$ math and [^n] footnote references away from the Markdown parser (outside of code)
+        const mathTokens = [];
+        markdown = markdown.split(/(```[\s\S]*?```|`[^`\n]*`)/).map((part, index) => {
+            if (index % 2 === 1) return part;
+            return part
+                .replace(/\$\$([\s\S]+?)\$\$/g, (match) => {
+                    mathTokens.push(`<div class="mdcp-math mdcp-math-display">${escapeHtml(match)}</div>`);
+                    return `[[MDCP_MATH_${mathTokens.length - 1}]]`;
+                })
+                .replace(/(^|[^\\$])\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)/g, (match, prefix, tex) => {
+                    mathTokens.push(`<span class="mdcp-math">${escapeHtml(`$${tex}$`)}</span>`);
+                    return `${prefix}[[MDCP_MATH_${mathTokens.length - 1}]]`;
+                })
+                .replace(/\[\^([^\]\s]+)\]/g, (match, label) => {
+                    if (!footnotes.definitions.has(label)) return match;
+                    const isFirst = !footnotes.order.includes(label);
+                    if (isFirst) footnotes.order.push(label);
+                    const number = footnotes.order.indexOf(label) + 1;
+                    const id = isFirst ? ` id="mdcp-fnref-${number}"` : '';
+                    mathTokens.push(`<sup class="mdcp-footnote-ref"><a href="#mdcp-fn-${number}"${id}>${number}</a></sup>`);
+                    return `[[MDCP_MATH_${mathTokens.length - 1}]]`;
+                });
+        }).join('');
+
+        const tableTokens = [];
+        const markdownWithTables = markdown.replace(/<table[\s\S]*?<\/table>/gi, (match) => {
+            const sanitized = sanitizeTableHtml(match);
+            const token = `[[MDCP_TABLE_${tableTokens.length}]]`;
+            tableTokens.push(sanitized || '');
+            return token;
+        }).replace(/^\+(?:[-=:]+\+)+(?:\n[|+].*[|+])+$/gm, (match) => {
+            // Pandoc grid tables have no Markdown rendering here; keep them monospaced
+            const token = `[[MDCP_TABLE_${tableTokens.length}]]`;
+            tableTokens.push(`<pre class="mdcp-grid-table">${escapeHtml(match)}</pre>`);
+            return token;
+        });
+
+        if (typeof marked === 'undefined') {
+            return `${frontMatterHtml}<pre><code>${escapeHtml(markdownWithTables)}</code></pre>`;
+        }
+
+        const normalizedMarkdown = normalizeMarkdownForRendering(
+            normalizeMarkdownTables(markdownWithTables)
+        );
+
+        marked.setOptions({
+            gfm: true,
+            breaks: true,
+            mangle: false,
+            headerIds: false
+        });
+
+        let rendered = '';
+        try {
+            rendered = marked.parse(normalizedMarkdown);
+        } catch (error) {
+            console.error('Marked render failed:', error);
+            rendered = `<pre><code>${escapeHtml(normalizedMarkdown)}</code></pre>`;
+        }
+        tableTokens.forEach((tableHtml, index) => {
+            const token = `[[MDCP_TABLE_${index}]]`;
+            rendered = rendered
+                .replaceAll(`<p>${token}</p>`, () => tableHtml || '')
+                .replaceAll(token, () => tableHtml || '');
+        });
+        mathTokens.forEach((mathHtml, index) => {
+            const token = `[[MDCP_MATH_${index}]]`;
+            rendered = rendered
+                .replaceAll(`<p>${token}</p>`, () => mathHtml)
+                .replaceAll(token, () => mathHtml);
+        });
+        rendered += renderFootnoteDefinitions(footnotes);
+        return `${frontMatterHtml}${rendered}` || '<p>(내용 없음)</p>';
+    }
+
+    /**
+     * Extract links from markdown text
+     */
+    function extractLinksFromMarkdown(markdown) {
+        const links = new Set();
+        const linkRegex = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+        const autoLinkRegex = /<\s*(https?:\/\/[^>]+)\s*>/g;
+        const bareUrlRegex = /(https?:\/\/[^\s)]+)\b/g;
+
+        let match;
+        while ((match = linkRegex.exec(markdown)) !== null) {
+            links.add(match[2]);
+        }
+        while ((match = autoLinkRegex.exec(markdown)) !== null) {
+            links.add(match[1]);
+        }
+        while ((match = bareUrlRegex.exec(markdown)) !== null) {
+            links.add(match[1]);
+        }
+
+        return Array.from(links);
+    }
+
+    function extractYouTubeWatchLinks(markdown) {
+        const links = extractLinksFromMarkdown(markdown);
+        const watchLinks = links.filter(link => {
+            return link.includes('youtube.com/watch') || link.includes('youtu.be/');
+        });
+        return Array.from(new Set(watchLinks));
+    }
+
+    function isYouTubeWatchPage() {
+        return window.location.hostname.includes('youtube.com') && window.location.pathname === '/watch';
+    }
+
+    function getYouTubePlayerResponse() {
+        if (cachedPlayerResponse) {
+            return cachedPlayerResponse;
+        }
+        if (window.ytInitialPlayerResponse) {
+            return window.ytInitialPlayerResponse;
+        }
+        const playerResponse = window.ytplayer?.config?.args?.player_response;
+        if (typeof playerResponse === 'string') {
+            try {
+                return JSON.parse(playerResponse);
+            } catch (error) {
+                console.warn('Failed to parse player_response JSON:', error);
+            }
+        }
+        return null;
+    }
+
+    function injectPlayerResponseProbe() {
+        if (playerResponseScriptInjected) return;
+        try {
+            const script = document.createElement('script');
+            script.src = chrome.runtime.getURL('yt-bridge.js');
+            script.onload = () => script.remove();
+            (document.documentElement || document.head || document.body).appendChild(script);
+            playerResponseScriptInjected = true;
+        } catch (error) {
+            console.warn('Failed to inject player response probe:', error);
+        }
+    }
+
+    function resetPlayerResponseCache() {
+        cachedPlayerResponse = null;
+        cachedPlayerResponseSource = '';
+        playerResponseReadyAt = 0;
+        playerResponseScriptInjected = false;
+    }
+
+    function setupYouTubeObservers() {
+        if (youTubeObserversInstalled) return;
+        youTubeObserversInstalled = true;
+
+        const handler = () => {
+            resetPlayerResponseCache();
+            injectPlayerResponseProbe();
+        };
+
+        window.addEventListener('yt-navigate-finish', handler);
+        window.addEventListener('yt-page-data-updated', handler);
+    }
+
+    function startPlayerResponsePolling() {
+        let attempts = 0;
+        const interval = setInterval(() => {
+            attempts += 1;
+            injectPlayerResponseProbe();
+            if (cachedPlayerResponse || attempts >= 10) {
+                clearInterval(interval);
+            }
+        }, 500);
+    }
+
+    function ensurePlayerResponse(timeoutMs = 1500) {
+        return new Promise(resolve => {
+            if (cachedPlayerResponse && Date.now() - playerResponseReadyAt < 60000) {
+                resolve(cachedPlayerResponse);
+                return;
+            }
+
+            const requestId = `mdcp_pr_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+
+            const listener = (event) => {
+                if (event.source !== window) return;
+                const data = event.data;
+                if (!data || data.type !== 'MDCP_GET_PLAYER_RESPONSE_RESULT') return;
+                if (data.requestId !== requestId) return;
+                window.removeEventListener('message', listener);
+                if (data.response) {
+                    cachedPlayerResponse = data.response;
+                    cachedPlayerResponseSource = data.source || '';
+                    playerResponseReadyAt = Date.now();
+                }
+                resolve(cachedPlayerResponse);
+            };
+
+            window.addEventListener('message', listener);
+            injectPlayerResponseProbe();
             window.postMessage({ type: 'MDCP_GET_PLAYER_RESPONSE', requestId }, '*');
 
-            setTimeout(() => {
-                window.removeEventListener('message', listener);
-                resolve(cachedPlayerResponse);
-            }, timeoutMs);
+            setTimeout(() => {
+                window.removeEventListener('message', listener);
+                resolve(cachedPlayerResponse);
+            }, timeoutMs);
+        });
+    }
+
+    window.addEventListener('message', (event) => {
+        if (event.source !== window) return;
+        if (!event.data || event.data.type !== 'MDCP_BRIDGE_READY') return;
+        console.log('MDCP bridge ready');
+    });
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function waitForElement(selector, timeoutMs = 3000) {
+        const start = Date.now();
+        while (Date.now() - start < timeoutMs) {
+            const el = document.querySelector(selector);
+            if (el) return el;
+            await sleep(100);
+        }
+        return null;
+    }
+
+    /**
+     * Parse a transcript timestamp such as "1:02:03" or "12:34" into seconds
+     */
+    function parseTimestampToSeconds(value) {
+        const parts = (value || '').trim().split(':').map(Number);
+        if (parts.length === 0 || parts.some(part => Number.isNaN(part))) return null;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    /**
+     * Collect timed segments from the transcript panel rendered by YouTube
+     */
+    function collectTranscriptSegments() {
+        const renderers = Array.from(document.querySelectorAll('ytd-transcript-segment-renderer'));
+        const segments = renderers.map(seg => {
+            const textEl = seg.querySelector('.segment-text');
+            const text = textEl?.textContent?.replace(/\s+/g, ' ').trim() || '';
+            const start = parseTimestampToSeconds(seg.querySelector('.segment-timestamp')?.textContent);
+            return { start: start ?? 0, duration: 0, text };
+        }).filter(segment => segment.text);
+
+        // The panel only shows start times; each segment lasts until the next one begins
+        segments.forEach((segment, index) => {
+            const next = segments[index + 1];
+            segment.duration = next && next.start > segment.start ? next.start - segment.start : 3;
+        });
+        return segments;
+    }
+
+    function collectTranscriptText() {
+        return collectTranscriptSegments().map(segment => segment.text).join('\n');
+    }
+
+    async function tryScrapeTranscript() {
+        // If transcript is already open, just collect it.
+        const existing = collectTranscriptText();
+        if (existing) return existing;
+
+        // Recently YouTube added a direct "Show transcript" button below the description
+        const directTranscriptBtn = document.querySelector('button[aria-label="Show transcript"], button[aria-label="자막 표시"], ytd-video-description-transcript-section-renderer button');
+
+        if (directTranscriptBtn) {
+            directTranscriptBtn.click();
+        } else {
+            // Try to open via the "more actions" menu
+            const moreButton = document.querySelector('ytd-watch-metadata #button[aria-label]') ||
+                document.querySelector('ytd-video-primary-info-renderer #button[aria-label]') ||
+                document.querySelector('button[aria-label*="더보기"], button[aria-label*="More actions"]');
+
+            if (moreButton) {
+                moreButton.click();
+                await sleep(200);
+                const menuItem = Array.from(document.querySelectorAll('tp-yt-paper-item, ytd-menu-service-item-renderer'))
+                    .find(item => {
+                        const text = item.textContent || '';
+                        return text.includes('자막 표시') || text.includes('Show transcript');
+                    });
+                if (menuItem) {
+                    menuItem.click();
+                }
+            } else {
+                // Try expanding description to find the transcript button
+                const expandDescBtn = document.querySelector('#expand, #description-inline-expander');
+                if (expandDescBtn) {
+                    expandDescBtn.click();
+                    await sleep(300);
+                    const btn = document.querySelector('ytd-video-description-transcript-section-renderer button');
+                    if (btn) btn.click();
+                }
+            }
+        }
+
+        // Wait for transcript to render.
+        const rendered = await waitForElement('ytd-transcript-renderer, ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-searchable-transcript"]');
+
+        if (rendered) {
+            // Further wait for actual text content to appear (network delay)
+            let retries = 10;
+            while (retries > 0) {
+                const text = collectTranscriptText();
+                if (text && text.trim().length > 0) {
+                    return text;
+                }
+                await sleep(500);
+                retries--;
+            }
+        }
+
+        return collectTranscriptText();
+    }
+
+    function getYouTubeCaptionTracks() {
+        const response = getYouTubePlayerResponse();
+        const tracks = response?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+        return Array.isArray(tracks) ? tracks : [];
+    }
+
+    function getYouTubeCaptionDebugInfo() {
+        const response = getYouTubePlayerResponse();
+        const hasResponse = !!response;
+        const hasCaptions = !!response?.captions?.playerCaptionsTracklistRenderer;
+        const tracks = getYouTubeCaptionTracks();
+        const trackCount = tracks.length;
+        return { hasResponse, hasCaptions, trackCount, tracks, source: cachedPlayerResponseSource };
+    }
+
+    function pickYouTubeCaptionTrack(tracks) {
+        if (!tracks.length) return null;
+
+        const preferredLangs = (navigator.languages && navigator.languages.length > 0)
+            ? navigator.languages
+            : [navigator.language || ''];
+
+        const normalized = preferredLangs
+            .filter(Boolean)
+            .map(lang => lang.toLowerCase());
+
+        const scored = tracks.map(track => {
+            const langCode = (track.languageCode || '').toLowerCase();
+            const baseLang = langCode.split('-')[0];
+            let score = 0;
+
+            normalized.forEach(pref => {
+                if (langCode === pref) score += 20;
+                if (baseLang && pref.startsWith(baseLang)) score += 10;
+                if (pref.startsWith(baseLang)) score += 6;
+                if (langCode.startsWith(pref)) score += 6;
+            });
+
+            if (!track.kind) score += 2; // prefer non-ASR
+            if (track.kind === 'asr') score -= 1;
+
+            return { track, score };
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+        return scored[0]?.track || tracks[0];
+    }
+
+    async function waitForYouTubeCaptionTracks(retries = 6, delayMs = 500) {
+        for (let i = 0; i < retries; i++) {
+            const tracks = getYouTubeCaptionTracks();
+            if (tracks.length > 0) return tracks;
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+        return [];
+    }
+
+    /**
+     * Fetch text through the background worker
+     */
+    async function fetchTextViaBackground(url) {
+        const response = await chrome.runtime.sendMessage({ type: 'mdcp-fetch-text', url });
+        if (!response || response.error) {
+            throw new Error(response?.error || 'Empty text response');
+        }
+        return response.text || '';
+    }
+
+    function decodeHtmlEntities(text) {
+        if (!text || !text.includes('&')) return text || '';
+        const doc = new DOMParser().parseFromString(`<!doctype html><body>${text}`, 'text/html');
+        return doc.body.textContent || '';
+    }
+
+    function normalizeCaptionText(text) {
+        return decodeHtmlEntities(text).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Parse YouTube json3 caption payload into { start, duration, text } segments (seconds)
+     */
+    function parseJson3Captions(data) {
+        const events = Array.isArray(data?.events) ? data.events : [];
+        return events
+            .filter(event => Array.isArray(event.segs))
+            .map(event => ({
+                start: (event.tStartMs || 0) / 1000,
+                duration: (event.dDurationMs || 0) / 1000,
+                text: normalizeCaptionText(event.segs.map(seg => seg.utf8 || '').join(''))
+            }))
+            .filter(segment => segment.text);
+    }
+
+    /**
+     * Parse srv3 (<p t d>, milliseconds) or legacy (<text start dur>, seconds) caption XML
+     */
+    function parseXmlCaptions(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+        if (doc.querySelector('parsererror')) return [];
+
+        const srv3 = Array.from(doc.querySelectorAll('body > p'));
+        if (srv3.length > 0) {
+            return srv3.map(p => ({
+                start: Number(p.getAttribute('t') || 0) / 1000,
+                duration: Number(p.getAttribute('d') || 0) / 1000,
+                text: normalizeCaptionText(p.textContent)
+            })).filter(segment => segment.text);
+        }
+
+        return Array.from(doc.querySelectorAll('text')).map(node => ({
+            start: Number(node.getAttribute('start') || 0),
+            duration: Number(node.getAttribute('dur') || 0),
+            text: normalizeCaptionText(node.textContent)
+        })).filter(segment => segment.text);
+    }
+
+    function parseCaptionPayload(payload) {
+        const trimmed = (payload || '').trim();
+        if (!trimmed) return [];
+        if (trimmed.startsWith('{')) {
+            try {
+                return parseJson3Captions(JSON.parse(trimmed));
+            } catch (error) {
+                console.warn('Failed to parse json3 captions:', error);
+                return [];
+            }
+        }
+        return parseXmlCaptions(trimmed);
+    }
+
+    function buildCaptionTrackUrl(track, format) {
+        const url = new URL(track.baseUrl, window.location.origin);
+        if (format) {
+            url.searchParams.set('fmt', format);
+        } else {
+            url.searchParams.delete('fmt');
+        }
+        return url.toString();
+    }
+
+    /**
+     * Download the selected caption track and parse it into timed segments.
+     * Tries json3 first, then srv3, then the track's default XML format.
+     */
+    async function fetchCaptionSegments(track) {
+        for (const format of ['json3', 'srv3', '']) {
+            try {
+                const payload = await fetchTextViaBackground(buildCaptionTrackUrl(track, format));
+                const segments = parseCaptionPayload(payload);
+                if (segments.length > 0) return segments;
+            } catch (error) {
+                console.warn(`Failed to fetch captions (${format || 'default'}):`, error);
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Load captions for a track. A track with a baseUrl must deliver its own captions;
+     * the transcript panel is only scraped when there is no track URL to download.
+     */
+    async function fetchCaptionFromTrack(track) {
+        let captionsText = '';
+        let segments = [];
+
+        if (track?.baseUrl) {
+            segments = await fetchCaptionSegments(track);
+            if (segments.length === 0) {
+                throw new Error(`No captions returned for track ${track.languageCode || ''}`);
+            }
+            captionsText = segments.map(segment => segment.text).join('\n');
+        } else {
+            console.log('Fetching captions via UI scraping...');
+            const transcriptText = await tryScrapeTranscript();
+            if (transcriptText) {
+                captionsText = transcriptText;
+                segments = collectTranscriptSegments();
+                console.log('Successfully scraped transcript from the UI menu.');
+            } else {
+                console.warn('UI Scraping failed to find transcript text.');
+            }
+        }
+
+        const meta = {
+            languageCode: track?.languageCode || '',
+            languageName: track?.name?.simpleText || '',
+            isAutoGenerated: track?.kind === 'asr'
+        };
+
+        return { text: captionsText, segments, meta };
+    }
+
+    /**
+     * Format seconds as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+     */
+    function formatCaptionTimestamp(seconds, fractionSeparator = ',') {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        const pad = (value, size = 2) => String(value).padStart(size, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${fractionSeparator}${pad(ms, 3)}`;
+    }
+
+    function getCaptionCueEnd(segments, index) {
+        const segment = segments[index];
+        const next = segments[index + 1];
+        let end = segment.start + (segment.duration > 0 ? segment.duration : 3);
+        if (next && next.start > segment.start && end > next.start) {
+            end = next.start;
+        }
+        return end;
+    }
+
+    function buildSrt(segments) {
+        return segments.map((segment, index) => [
+            String(index + 1),
+            `${formatCaptionTimestamp(segment.start)} --> ${formatCaptionTimestamp(getCaptionCueEnd(segments, index))}`,
+            segment.text
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    function buildVtt(segments) {
+        const cues = segments.map((segment, index) => [
+            String(index + 1),
+            `${formatCaptionTimestamp(segment.start, '.')} --> ${formatCaptionTimestamp(getCaptionCueEnd(segments, index), '.')}`,
+            segment.text
+        ].join('\n'));
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    }
+
+    /**
+     * Format seconds as a short video timestamp (12:34 or 1:02:03)
+     */
+    function formatVideoTimestamp(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    function getYouTubeVideoId() {
+        try {
+            return new URL(window.location.href).searchParams.get('v') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Merge short caption segments into paragraphs.
+     * With a time window, a paragraph closes at the first sentence end after the window
+     * (or at twice the window when there is no punctuation, as with auto-generated captions).
+     * Without a window, paragraphs follow sentence boundaries, capped at one minute.
+     */
+    function mergeCaptionSegments(segments, windowSeconds = 30) {
+        const sentenceEnd = /[.!?。！？…]["'”’)\]]*$/;
+        const maxSeconds = windowSeconds > 0 ? windowSeconds * 2 : 60;
+        const paragraphs = [];
+        let current = null;
+
+        segments.forEach(segment => {
+            if (current && segment.start - current.start >= maxSeconds) {
+                paragraphs.push(current);
+                current = null;
+            }
+            if (!current) {
+                current = { start: segment.start, texts: [] };
+            }
+            current.texts.push(segment.text);
+
+            const elapsed = segment.start + (segment.duration || 0) - current.start;
+            const endsSentence = sentenceEnd.test(segment.text);
+            const shouldClose = windowSeconds > 0
+                ? (elapsed >= windowSeconds && endsSentence) || elapsed >= maxSeconds
+                : endsSentence || elapsed >= maxSeconds;
+
+            if (shouldClose) {
+                paragraphs.push(current);
+                current = null;
+            }
+        });
+        if (current) paragraphs.push(current);
+
+        return paragraphs.map(paragraph => ({
+            start: paragraph.start,
+            text: paragraph.texts.join(' ').replace(/\s+/g, ' ').trim()
+        }));
+    }
+
+    /**
+     * Build transcript Markdown with the video header and a deep link per paragraph
+     */
+    function buildTimestampedMarkdown(segments, windowSeconds = 30) {
+        const videoId = getYouTubeVideoId();
+        const header = extractYouTubeMetadata();
+        const paragraphs = mergeCaptionSegments(segments, windowSeconds).map(paragraph => {
+            const seconds = Math.floor(paragraph.start);
+            const label = formatVideoTimestamp(seconds);
+            const stamp = videoId
+                ? `[${label}](https://www.youtube.com/watch?v=${videoId}&t=${seconds}s)`
+                : `[${label}]`;
+            return `${stamp} ${paragraph.text}`;
+        });
+        return [header, ...paragraphs].filter(Boolean).join('\n\n') + '\n';
+    }
+
+    const CAPTION_FORMATS = {
+        text: { label: '텍스트', extension: 'txt', mime: 'text/plain' },
+        markdown: { label: 'Markdown (타임스탬프)', extension: 'md', mime: 'text/markdown' },
+        srt: { label: 'SRT', extension: 'srt', mime: 'application/x-subrip' },
+        vtt: { label: 'VTT', extension: 'vtt', mime: 'text/vtt' }
+    };
+
+    const CAPTION_PARAGRAPH_WINDOWS = [
+        { seconds: 0, label: '문장 단위' },
+        { seconds: 15, label: '15초' },
+        { seconds: 30, label: '30초' },
+        { seconds: 60, label: '60초' }
+    ];
+
+    /**
+     * Render the loaded captions in the given format
+     */
+    function getCaptionOutput(format = previewState.captionFormat) {
+        const segments = previewState.captionSegments || [];
+        if (format === 'srt' && segments.length > 0) return buildSrt(segments);
+        if (format === 'vtt' && segments.length > 0) return buildVtt(segments);
+        if (format === 'markdown' && segments.length > 0) {
+            return buildTimestampedMarkdown(segments, previewState.captionParagraphSeconds);
+        }
+        return previewState.captions;
+    }
+
+    function downloadCaptions(format = previewState.captionFormat) {
+        const info = CAPTION_FORMATS[format] || CAPTION_FORMATS.text;
+        const lang = previewState.captionsMeta?.languageCode;
+        const filename = `${getDownloadBaseName()}${lang ? `.${lang}` : ''}.${info.extension}`;
+        downloadBlob(new Blob([getCaptionOutput(format)], { type: `${info.mime};charset=utf-8` }), filename);
+    }
+
+    function hasLocalStorage() {
+        return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local;
+    }
+
+    async function loadHistory() {
+        if (!hasLocalStorage()) return [];
+        try {
+            const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+            return Array.isArray(result[HISTORY_STORAGE_KEY]) ? result[HISTORY_STORAGE_KEY] : [];
+        } catch (error) {
+            console.error('Failed to load copy history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * History writes go through the background worker so copies from other tabs and
+     * frames are serialized with this one
+     */
+    async function sendHistoryMessage(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response || response.error) {
+            throw new Error(response?.error || 'No response from background');
+        }
+    }
+
+    /**
+     * Record a successful copy in the persistent history
+     */
+    async function recordHistory(type, markdown = '') {
+        try {
+            await sendHistoryMessage({
+                type: 'mdcp-history-record',
+                entry: {
+                    type,
+                    markdown,
+                    url: window.location.href,
+                    title: document.title || window.location.hostname
+                }
+            });
+        } catch (error) {
+            console.error('Failed to record copy history:', error);
+        }
+    }
+
+    async function deleteHistoryEntry(id) {
+        try {
+            await sendHistoryMessage({ type: 'mdcp-history-delete', id });
+        } catch (error) {
+            console.error('Failed to delete history entry:', error);
+        }
+    }
+
+    function formatHistoryTime(timestamp) {
+        try {
+            return new Date(timestamp).toLocaleString();
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Render the history list, filtered by the search box
+     */
+    async function renderHistoryPane() {
+        if (!previewPanel) return;
+        const list = previewPanel.querySelector('[data-pane="history"] .mdcp-history-list');
+        if (!list) return;
+
+        const query = previewState.historyQuery.trim().toLowerCase();
+        const entries = (await loadHistory()).filter(entry => {
+            if (!query) return true;
+            return [entry.title, entry.url, entry.markdown].some(value => (value || '').toLowerCase().includes(query));
+        });
+
+        if (entries.length === 0) {
+            list.innerHTML = `<div class="mdcp-preview-empty">${query ? '검색 결과가 없습니다.' : '복사 기록이 없습니다.'}</div>`;
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => {
+            const snippet = (entry.markdown || '').replace(/\s+/g, ' ').trim().slice(0, 160);
+            const canCopy = !!entry.markdown;
+            return `
+                <div class="mdcp-history-item" data-history-id="${escapeHtml(entry.id)}">
+                    <div class="mdcp-history-meta">
+                        <span class="mdcp-history-type">${HISTORY_TYPE_LABELS[entry.type] || entry.type}</span>
+                        <span class="mdcp-history-time">${escapeHtml(formatHistoryTime(entry.timestamp))}</span>
+                    </div>
+                    <div class="mdcp-history-title">${escapeHtml(entry.title || entry.url || '')}</div>
+                    ${snippet ? `<div class="mdcp-history-snippet">${escapeHtml(snippet)}${entry.truncated ? ' (잘림)' : ''}</div>` : ''}
+                    <div class="mdcp-history-actions">
+                        <button data-history-action="copy"${canCopy ? '' : ' disabled'}>복사</button>
+                        <button data-history-action="open">원본 열기</button>
+                        <button data-history-action="delete">삭제</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async function handleHistoryAction(event) {
+        const button = event.target.closest('button[data-history-action]');
+        if (!button) return;
+        const item = button.closest('[data-history-id]');
+        const id = item?.getAttribute('data-history-id');
+        const entry = (await loadHistory()).find(candidate => candidate.id === id);
+        if (!entry) return;
+
+        const action = button.getAttribute('data-history-action');
+        if (action === 'copy') {
+            if (entry.type === 'markdown') {
+                await copyMarkdownToClipboard(entry.markdown, null, button);
+            } else {
+                await copyOutputToClipboard(entry.markdown, entry.type, '✓ 기록이 클립보드에 복사되었습니다!', button);
+            }
+        } else if (action === 'open') {
+            window.open(entry.url, '_blank', 'noopener');
+        } else if (action === 'delete') {
+            await deleteHistoryEntry(id);
+            await renderHistoryPane();
+        }
+    }
+
+    async function sendCollectionMessage(message) {
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response || response.error) {
+                throw new Error(response?.error || 'No response from background');
+            }
+            return response.fragments || [];
+        } catch (error) {
+            console.error('Collection request failed:', message.type, error);
+            return null;
+        }
+    }
+
+    /**
+     * Append Markdown to the clip collection with the current page as its source
+     */
+    function appendToCollection(markdown) {
+        return sendCollectionMessage({
+            type: 'mdcp-collection-add',
+            fragment: {
+                // The collection cites each source itself; per-copy front matter would end up mid-document
+                markdown: stripFrontMatter(markdown),
+                url: window.location.href,
+                title: document.title || window.location.hostname
+            }
+        });
+    }
+
+    async function collectAfterCopy(markdown, anchor) {
+        if (!await appendToCollection(markdown)) {
+            showToast('✗ 모음에 추가하지 못했습니다.', anchor);
+        }
+    }
+
+    /**
+     * Combine fragments into one document, each under a source citation heading
+     */
+    function buildCollectionMarkdown(fragments) {
+        // Each fragment numbers its reference links and footnotes from 1
+        const renumber = createLabelRenumberer({ footnotes: true });
+        return fragments.map(fragment => {
+            const title = (fragment.title || fragment.url || '출처').replace(/[\[\]]/g, '\\$&');
+            const heading = fragment.url ? `## [${title}](${fragment.url})` : `## ${title}`;
+            const captured = fragment.timestamp ? `\n\n*${new Date(fragment.timestamp).toLocaleString()} 수집*` : '';
+            return `${heading}${captured}\n\n${renumber(stripFrontMatter(fragment.markdown || '').trim())}`;
+        }).join('\n\n---\n\n') + '\n';
+    }
+
+    async function copyCollection(anchor) {
+        const fragments = await sendCollectionMessage({ type: 'mdcp-collection-get' });
+        if (!fragments || fragments.length === 0) {
+            showToast('모음이 비어 있습니다.', anchor);
+            return false;
+        }
+        return copyMarkdownToClipboard(buildCollectionMarkdown(fragments), '✓ 모음이 클립보드에 복사되었습니다!', anchor);
+    }
+
+    async function renderCollectionPane() {
+        if (!previewPanel) return;
+        const list = previewPanel.querySelector('[data-pane="collection"] .mdcp-collection-list');
+        if (!list) return;
+
+        const fragments = await sendCollectionMessage({ type: 'mdcp-collection-get' });
+        if (!fragments) {
+            list.innerHTML = '<div class="mdcp-preview-empty">모음을 불러오지 못했습니다.</div>';
+            return;
+        }
+        if (fragments.length === 0) {
+            list.innerHTML = '<div class="mdcp-preview-empty">모음이 비어 있습니다. 미리보기의 "모음에 추가"로 조각을 모으세요.</div>';
+            return;
+        }
+
+        list.innerHTML = fragments.map((fragment, index) => `
+            <div class="mdcp-history-item" data-collection-id="${escapeHtml(fragment.id)}">
+                <div class="mdcp-history-meta">
+                    <span class="mdcp-history-type">${index + 1}</span>
+                    <span class="mdcp-history-time">${escapeHtml(formatHistoryTime(fragment.timestamp))}</span>
+                </div>
+                <div class="mdcp-history-title">${escapeHtml(fragment.title || fragment.url || '')}</div>
+                <textarea class="mdcp-collection-textarea" data-collection-edit="${escapeHtml(fragment.id)}" spellcheck="false">${escapeHtml(fragment.markdown || '')}</textarea>
+                <div class="mdcp-history-actions">
+                    <button data-collection-action="up"${index === 0 ? ' disabled' : ''}>위로</button>
+                    <button data-collection-action="down"${index === fragments.length - 1 ? ' disabled' : ''}>아래로</button>
+                    <button data-collection-action="remove">삭제</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async function handleCollectionAction(event) {
+        const button = event.target.closest('button[data-collection-action]');
+        if (!button) return;
+        const action = button.getAttribute('data-collection-action');
+        const id = button.closest('[data-collection-id]')?.getAttribute('data-collection-id');
+
+        if (action === 'copy-all') {
+            await copyCollection(button);
+        } else if (action === 'download') {
+            const fragments = await sendCollectionMessage({ type: 'mdcp-collection-get' });
+            if (!fragments || fragments.length === 0) {
+                showToast('모음이 비어 있습니다.', button);
+                return;
+            }
+            downloadBlob(new Blob([buildCollectionMarkdown(fragments)], { type: 'text/markdown;charset=utf-8' }), 'collection.md');
+        } else if (action === 'clear') {
+            if (window.confirm('모음의 모든 조각을 삭제할까요?')) {
+                await sendCollectionMessage({ type: 'mdcp-collection-clear' });
+            }
+        } else if (action === 'up' || action === 'down') {
+            await sendCollectionMessage({ type: 'mdcp-collection-move', id, offset: action === 'up' ? -1 : 1 });
+        } else if (action === 'remove') {
+            await sendCollectionMessage({ type: 'mdcp-collection-remove', id });
+        }
+    }
+
+    function renderTablesPane(container) {
+        const tables = previewState.tables;
+        if (tables.length === 0) {
+            container.innerHTML = '<div class="mdcp-preview-empty">복사한 내용에 표가 없습니다.</div>';
+            return;
+        }
+
+        const formatButtons = Object.entries(TABLE_EXPORT_FORMATS).map(([format, info]) => {
+            const active = format === previewState.tableFormat ? ' active' : '';
+            return `<button class="mdcp-caption-format${active}" data-table-format="${format}">${info.label}</button>`;
+        }).join('');
+        const items = tables.map((data, index) => {
+            const rowCount = data.rows.length + (data.header ? 1 : 0);
+            const output = formatTableData([data], previewState.tableFormat);
+            const lines = output.split('\n');
+            const excerpt = lines.slice(0, 12).join('\n') + (lines.length > 12 ? '\n…' : '');
+            return `
+                <div class="mdcp-history-item" data-table-index="${index}">
+                    <div class="mdcp-history-meta">
+                        <span class="mdcp-history-type">${index + 1}</span>
+                        <span>${rowCount}행 × ${data.width}열${data.header ? ', 머리글 있음' : ''}</span>
+                    </div>
+                    <div class="mdcp-history-title">${escapeHtml(data.label)}</div>
+                    <pre class="mdcp-preview-caption-text">${escapeHtml(excerpt)}</pre>
+                    <div class="mdcp-history-actions">
+                        <button data-table-action="copy">복사</button>
+                        <button data-table-action="download">파일 저장</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="mdcp-preview-caption-toolbar">
+                ${formatButtons}
+                <button class="mdcp-caption-format" data-table-action="copy-all">전체 복사</button>
+                <button class="mdcp-caption-format mdcp-caption-download" data-table-action="download-all">전체 저장</button>
+            </div>
+            ${items}
+        `;
+    }
+
+    async function copyPreviewTables(tables, anchor) {
+        if (tables.length === 0) {
+            showToast('복사할 표가 없습니다.', anchor);
+            return;
+        }
+        const output = formatTableData(tables, previewState.tableFormat);
+        const label = TABLE_EXPORT_FORMATS[previewState.tableFormat].label;
+        if (await copyToClipboard(output, `✓ 표를 ${label}로 복사했습니다!`, anchor)) {
+            recordHistory('table', output);
+        }
+    }
+
+    async function handleTablesAction(event) {
+        const formatButton = event.target.closest('button[data-table-format]');
+        if (formatButton) {
+            previewState.tableFormat = formatButton.getAttribute('data-table-format');
+            updatePreviewContent();
+            return;
+        }
+
+        const button = event.target.closest('button[data-table-action]');
+        if (!button) return;
+        const action = button.getAttribute('data-table-action');
+        const index = Number(button.closest('[data-table-index]')?.getAttribute('data-table-index'));
+        const tables = action.endsWith('-all') ? previewState.tables : [previewState.tables[index]].filter(Boolean);
+
+        if (action === 'copy' || action === 'copy-all') {
+            await copyPreviewTables(tables, button);
+        } else if (tables.length > 0) {
+            const name = action === 'download' ? getDownloadBaseName(`${document.title} - ${tables[0].label}`) : undefined;
+            downloadTableData(tables, previewState.tableFormat, name);
+        }
+    }
+
+    /**
+     * Create or update preview panel
+     */
+    function showPreviewPanel(markdown, options = {}) {
+        previewState.markdown = markdown;
+        // Tables belong to the copy being shown; never keep a previous copy's tables
+        previewState.tables = options.tables || [];
+        if (options.source) {
+            previewState.source = options.source;
+            previewState.outputFormat = options.outputFormat || 'markdown';
+            previewState.output = options.output || '';
+        }
+
+        if (!previewPanel) {
+            previewPanel = document.createElement('div');
+            previewPanel.className = 'mdcp-preview-panel';
+            previewPanel.innerHTML = `
+                <div class="mdcp-preview-header">
+                    <div class="mdcp-preview-title">Markdown 미리보기</div>
+                    <div class="mdcp-preview-actions">
+                        <button class="mdcp-preview-inline-images" title="다음 복사부터 이미지를 data URI로 내장합니다">이미지 내장</button>
+                        <select class="mdcp-preview-format" title="출력 형식 (선택 모드의 기본 형식으로도 저장됩니다)">
+                            ${Object.entries(OUTPUT_FORMATS).map(([format, info]) => `<option value="${format}">${info.label}</option>`).join('')}
+                        </select>
+                        <button class="mdcp-preview-copy">복사</button>
+                        <button class="mdcp-preview-zip" title="index.md와 이미지 파일을 ZIP으로 저장합니다">ZIP</button>
+                        <button class="mdcp-preview-collect" title="현재 Markdown을 모음에 추가합니다">모음에 추가</button>
+                        <button class="mdcp-preview-settings" title="변환 설정 열기">설정</button>
+                        <button class="mdcp-preview-close">닫기</button>
+                    </div>
+                </div>
+                <div class="mdcp-preview-tabs">
+                    <button class="mdcp-preview-tab active" data-tab="render">렌더링</button>
+                    <button class="mdcp-preview-tab" data-tab="edit">수정</button>
+                    <button class="mdcp-preview-tab" data-tab="links">링크</button>
+                    <button class="mdcp-preview-tab" data-tab="videos">영상링크</button>
+                    <button class="mdcp-preview-tab mdcp-preview-tab-captions" data-tab="captions">자막</button>
+                    <button class="mdcp-preview-tab mdcp-preview-tab-tables" data-tab="tables">표</button>
+                    <button class="mdcp-preview-tab" data-tab="history">기록</button>
+                    <button class="mdcp-preview-tab" data-tab="collection">모음</button>
+                </div>
+                <div class="mdcp-preview-body">
+                    <div class="mdcp-preview-pane" data-pane="render"></div>
+                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="edit">
+                        <textarea class="mdcp-preview-textarea" spellcheck="false"></textarea>
+                    </div>
+                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="links">
+                        <div class="mdcp-preview-links"></div>
+                    </div>
+                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="videos">
+                        <div class="mdcp-preview-links mdcp-preview-videos"></div>
+                    </div>
+                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="captions">
+                        <div class="mdcp-preview-captions"></div>
+                    </div>
+                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="tables">
+                        <div class="mdcp-preview-tables"></div>
+                    </div>
+                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="history">
+                        <input type="search" class="mdcp-history-search" placeholder="기록 검색 (제목, URL, 내용)">
+                        <div class="mdcp-history-list"></div>
+                    </div>
+                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="collection">
+                        <div class="mdcp-preview-caption-toolbar">
+                            <button class="mdcp-caption-format" data-collection-action="copy-all">전체 복사</button>
+                            <button class="mdcp-caption-format" data-collection-action="download">다운로드 (.md)</button>
+                            <button class="mdcp-caption-format mdcp-caption-download" data-collection-action="clear">비우기</button>
+                        </div>
+                        <div class="mdcp-collection-list"></div>
+                    </div>
+                </div>
+                <div class="mdcp-preview-resize-handle tl" data-resize="tl" title="크기 변경"></div>
+                <div class="mdcp-preview-resize-handle tr" data-resize="tr" title="크기 변경"></div>
+                <div class="mdcp-preview-resize-handle bl" data-resize="bl" title="크기 변경"></div>
+                <div class="mdcp-preview-resize-handle br" data-resize="br" title="크기 변경"></div>
+            `;
+            document.body.appendChild(previewPanel);
+
+            const header = previewPanel.querySelector('.mdcp-preview-header');
+            header.addEventListener('mousedown', (event) => {
+                if (event.button !== 0) return;
+                isPreviewDragging = true;
+                const rect = previewPanel.getBoundingClientRect();
+                previewDragOffset.x = event.clientX - rect.left;
+                previewDragOffset.y = event.clientY - rect.top;
+                event.preventDefault();
+            });
+
+            const resizeHandles = previewPanel.querySelectorAll('.mdcp-preview-resize-handle');
+            resizeHandles.forEach(handle => handle.addEventListener('mousedown', (event) => {
+                if (event.button !== 0) return;
+                isPreviewResizing = true;
+                const rect = previewPanel.getBoundingClientRect();
+                previewResizeStart = {
+                    x: event.clientX,
+                    y: event.clientY,
+                    width: rect.width,
+                    height: rect.height,
+                    left: rect.left,
+                    top: rect.top,
+                    handle: event.currentTarget.getAttribute('data-resize')
+                };
+                event.preventDefault();
+                event.stopPropagation();
+            }));
+
+            document.addEventListener('mousemove', (event) => {
+                if (isPreviewDragging) {
+                    const maxX = window.innerWidth - previewPanel.offsetWidth;
+                    const maxY = window.innerHeight - previewPanel.offsetHeight;
+                    const nextLeft = Math.max(12, Math.min(event.clientX - previewDragOffset.x, maxX - 12));
+                    const nextTop = Math.max(12, Math.min(event.clientY - previewDragOffset.y, maxY - 12));
+                    previewPanel.style.left = `${nextLeft}px`;
+                    previewPanel.style.top = `${nextTop}px`;
+                    previewPanel.style.right = 'auto';
+                    previewPanel.style.bottom = 'auto';
+                }
+
+                if (isPreviewResizing) {
+                    const deltaX = event.clientX - previewResizeStart.x;
+                    const deltaY = event.clientY - previewResizeStart.y;
+                    let nextWidth = previewResizeStart.width;
+                    let nextHeight = previewResizeStart.height;
+                    let nextLeft = previewResizeStart.left;
+                    let nextTop = previewResizeStart.top;
+
+                    if (previewResizeStart.handle.includes('r')) {
+                        nextWidth = Math.max(360, previewResizeStart.width + deltaX);
+                    }
+                    if (previewResizeStart.handle.includes('l')) {
+                        nextWidth = Math.max(360, previewResizeStart.width - deltaX);
+                        nextLeft = previewResizeStart.left + deltaX;
+                    }
+                    if (previewResizeStart.handle.includes('b')) {
+                        nextHeight = Math.max(260, previewResizeStart.height + deltaY);
+                    }
+                    if (previewResizeStart.handle.includes('t')) {
+                        nextHeight = Math.max(260, previewResizeStart.height - deltaY);
+                        nextTop = previewResizeStart.top + deltaY;
+                    }
+
+                    const maxLeft = window.innerWidth - nextWidth - 12;
+                    const maxTop = window.innerHeight - nextHeight - 12;
+                    nextLeft = Math.max(12, Math.min(nextLeft, maxLeft));
+                    nextTop = Math.max(12, Math.min(nextTop, maxTop));
+
+                    previewPanel.style.left = `${nextLeft}px`;
+                    previewPanel.style.top = `${nextTop}px`;
+                    previewPanel.style.right = 'auto';
+                    previewPanel.style.bottom = 'auto';
+                    previewPanel.style.width = `${nextWidth}px`;
+                    previewPanel.style.height = `${nextHeight}px`;
+                }
+            });
+
+            document.addEventListener('mouseup', () => {
+                isPreviewDragging = false;
+                isPreviewResizing = false;
+            });
+
+            const closeButton = previewPanel.querySelector('.mdcp-preview-close');
+            closeButton.addEventListener('click', () => {
+                if (previewImageUrl) {
+                    URL.revokeObjectURL(previewImageUrl);
+                    previewImageUrl = null;
+                }
+                previewPanel.remove();
+                previewPanel = null;
+            });
+
+            const inlineImagesButton = previewPanel.querySelector('.mdcp-preview-inline-images');
+            inlineImagesButton.addEventListener('click', async (event) => {
+                const enabled = !settings.inlineImages;
+                await setInlineImagesEnabled(enabled);
+                showToast(enabled
+                    ? '✓ 다음 복사부터 이미지를 내장합니다.'
+                    : '이미지 내장을 해제했습니다.', event);
+            });
+
+            const settingsButton = previewPanel.querySelector('.mdcp-preview-settings');
+            settingsButton.addEventListener('click', () => {
+                chrome.runtime.sendMessage({ type: 'mdcp-open-options' });
+            });
+
+            const copyButton = previewPanel.querySelector('.mdcp-preview-copy');
+            copyButton.addEventListener('click', async (event) => {
+                if (previewState.activeTab === 'links') {
+                    const links = extractLinksFromMarkdown(previewState.markdown).filter(link => link.trim() !== '');
+                    if (links.length > 0) {
+                        await copyToClipboard(links.join('\n'), '✓ 추출된 링크가 클립보드에 복사되었습니다!', event);
+                    } else {
+                        showToast('추출된 링크가 없습니다.', event);
+                    }
+                    return;
+                }
+
+                if (previewState.activeTab === 'videos') {
+                    const videoLinks = extractYouTubeWatchLinks(previewState.markdown);
+                    if (videoLinks.length > 0) {
+                        await copyToClipboard(videoLinks.join('\n'), '✓ 영상 링크가 클립보드에 복사되었습니다!', event);
+                    } else {
+                        showToast('영상 링크가 없습니다.', event);
+                    }
+                    return;
+                }
+
+                if (previewState.activeTab === 'history') {
+                    showToast('기록 항목의 복사 버튼을 사용하세요.', event);
+                    return;
+                }
+
+                if (previewState.activeTab === 'tables') {
+                    await copyPreviewTables(previewState.tables, event);
+                    return;
+                }
+
+                if (previewState.activeTab === 'collection') {
+                    await copyCollection(event);
+                    return;
+                }
+
+                if (previewState.activeTab === 'captions') {
+                    if (previewState.captions) {
+                        const captionOutput = getCaptionOutput();
+                        if (await copyToClipboard(captionOutput, '✓ 자막이 클립보드에 복사되었습니다!', event)) {
+                            recordHistory('captions', captionOutput);
+                        }
+                    } else {
+                        showToast('자막을 선택하세요.', event);
+                    }
+                    return;
+                }
+
+                if (previewState.outputFormat !== 'markdown') {
+                    const label = OUTPUT_FORMATS[previewState.outputFormat].label;
+                    if (await copyOutputToClipboard(previewState.output, previewState.outputFormat, `✓ ${label}(으)로 복사되었습니다!`, event)) {
+                        recordHistory(previewState.outputFormat, previewState.output);
+                    }
+                    return;
+                }
+
+                if (await copyMarkdownToClipboard(previewState.markdown, null, event)) {
+                    recordHistory('markdown', previewState.markdown);
+                }
+            });
+
+            const formatSelect = previewPanel.querySelector('.mdcp-preview-format');
+            formatSelect.addEventListener('change', () => setPreviewOutputFormat(formatSelect.value, formatSelect));
+
+            const zipButton = previewPanel.querySelector('.mdcp-preview-zip');
+            zipButton.addEventListener('click', async (event) => {
+                if (!previewState.markdown) {
+                    showToast('내보낼 Markdown이 없습니다.', event);
+                    return;
+                }
+                await exportMarkdownAsZip(previewState.markdown, zipButton);
+            });
+
+            const collectButton = previewPanel.querySelector('.mdcp-preview-collect');
+            collectButton.addEventListener('click', async (event) => {
+                if (!previewState.markdown) {
+                    showToast('추가할 Markdown이 없습니다.', event);
+                    return;
+                }
+                const fragments = await appendToCollection(previewState.markdown);
+                if (fragments) {
+                    showToast(`✓ 모음에 추가되었습니다 (${fragments.length}개)`, event);
+                } else {
+                    showToast('✗ 모음에 추가하지 못했습니다.', event);
+                }
+            });
+
+            previewPanel.querySelector('[data-pane="tables"]').addEventListener('click', handleTablesAction);
+
+            const collectionPane = previewPanel.querySelector('[data-pane="collection"]');
+            collectionPane.addEventListener('click', handleCollectionAction);
+            collectionPane.addEventListener('change', async (event) => {
+                const textarea = event.target.closest('textarea[data-collection-edit]');
+                if (!textarea) return;
+                await sendCollectionMessage({ type: 'mdcp-collection-edit', id: textarea.getAttribute('data-collection-edit'), markdown: textarea.value });
+            });
+
+            const tabs = previewPanel.querySelectorAll('.mdcp-preview-tab');
+            tabs.forEach(tab => {
+                tab.addEventListener('click', () => {
+                    const target = tab.getAttribute('data-tab');
+                    setPreviewTab(target);
+                });
+            });
+
+            const historySearch = previewPanel.querySelector('.mdcp-history-search');
+            historySearch.addEventListener('input', () => {
+                previewState.historyQuery = historySearch.value;
+                renderHistoryPane();
+            });
+            previewPanel.querySelector('.mdcp-history-list').addEventListener('click', handleHistoryAction);
+
+            const textarea = previewPanel.querySelector('.mdcp-preview-textarea');
+            textarea.addEventListener('input', () => {
+                if (previewState.outputFormat !== 'markdown') {
+                    previewState.output = textarea.value;
+                } else {
+                    previewState.markdown = textarea.value;
+                    // Other formats are now built from the edited Markdown
+                    previewState.source = null;
+                }
+                updatePreviewContent();
+            });
+
+            const captionsContainer = previewPanel.querySelector('[data-pane="captions"] .mdcp-preview-captions');
+            if (captionsContainer) {
+                captionsContainer.addEventListener('click', async (event) => {
+                    const formatButton = event.target.closest('button[data-caption-format]');
+                    if (formatButton) {
+                        previewState.captionFormat = formatButton.getAttribute('data-caption-format');
+                        updatePreviewContent();
+                        return;
+                    }
+
+                    const windowButton = event.target.closest('button[data-caption-window]');
+                    if (windowButton) {
+                        previewState.captionParagraphSeconds = Number(windowButton.getAttribute('data-caption-window')) || 0;
+                        updatePreviewContent();
+                        return;
+                    }
+
+                    if (event.target.closest('button[data-caption-download]')) {
+                        downloadCaptions();
+                        return;
+                    }
+
+                    const button = event.target.closest('button[data-caption-index]');
+                    if (!button) return;
+                    const index = Number(button.getAttribute('data-caption-index'));
+                    const track = previewState.captionTracks[index];
+                    if (!track) return;
+
+                    try {
+                        showToast('자막 불러오는 중...', button);
+                        const result = await fetchCaptionFromTrack(track);
+                        if (!result || !result.text) {
+                            showToast('자막을 찾지 못했습니다.', button);
+                            return;
+                        }
+                        previewState.captions = result.text;
+                        previewState.captionSegments = result.segments || [];
+                        previewState.captionsMeta = result.meta;
+                        const captionOutput = getCaptionOutput();
+                        if (await copyToClipboard(captionOutput, '✓ 자막이 클립보드에 복사되었습니다!', button)) {
+                            recordHistory('captions', captionOutput);
+                        }
+                        updatePreviewContent();
+                    } catch (error) {
+                        console.error('Failed to fetch captions:', error);
+                        const label = track.name?.simpleText || track.languageCode || '선택한';
+                        showToast(`✗ ${label} 자막을 가져오지 못했습니다.`, button);
+                    }
+                });
+            }
+        }
+
+        const titleEl = previewPanel.querySelector('.mdcp-preview-title');
+        if (titleEl) {
+            titleEl.textContent = 'Markdown 미리보기';
+        }
+
+        updateInlineImagesButton();
+        updatePreviewContent();
+        setPreviewTab(previewState.activeTab || 'render');
+    }
+
+    function showImagePreviewPanel(blob, label = '이미지 미리보기') {
+        if (previewImageUrl) {
+            URL.revokeObjectURL(previewImageUrl);
+            previewImageUrl = null;
+        }
+        previewImageUrl = URL.createObjectURL(blob);
+
+        if (!previewPanel) {
+            showPreviewPanel('');
+        }
+
+        const titleEl = previewPanel.querySelector('.mdcp-preview-title');
+        if (titleEl) {
+            titleEl.textContent = label;
+        }
+
+        const renderPane = previewPanel.querySelector('[data-pane="render"]');
+        renderPane.innerHTML = `<div class="mdcp-preview-image-wrap"><img src="${previewImageUrl}" alt="전체 페이지 캡처"></div>`;
+        setPreviewTab('render');
+    }
+
+    function updateInlineImagesButton() {
+        if (!previewPanel) return;
+        const button = previewPanel.querySelector('.mdcp-preview-inline-images');
+        if (button) {
+            button.classList.toggle('mdcp-active', settings.inlineImages);
+        }
+    }
+
+    /**
+     * Toggle self-contained Markdown mode and persist it
+     */
+    async function setInlineImagesEnabled(enabled) {
+        try {
+            applySettings(await window.mdcpSettings.save({ ...settings, inlineImages: !!enabled }));
+        } catch (e) {
+            console.error('Failed to save inline image setting:', e);
+        }
+    }
+
+    /**
+     * Switch the preview to another output format, re-converting the original elements.
+     * The choice is saved as the format for the selection mode.
+     */
+    async function setPreviewOutputFormat(format, anchor) {
+        if (!OUTPUT_FORMATS[format]) return;
+        if (settings.outputFormat !== format) {
+            try {
+                applySettings(await window.mdcpSettings.save({ ...settings, outputFormat: format }));
+            } catch (e) {
+                console.error('Failed to save output format:', e);
+            }
+        }
+
+        if (format !== 'markdown') {
+            // Without the original elements (e.g. after editing), convert the rendered Markdown
+            let elements = previewState.source ? previewState.source.elements : [];
+            if (elements.length === 0) {
+                const container = document.createElement('div');
+                container.innerHTML = sanitizeHtml(markdownToHtml(previewState.markdown));
+                elements = [container];
+            }
+            const outputs = [];
+            for (const el of elements) {
+                const output = await convertToFormat(el, format, { ...previewState.source?.options, anchor });
+                if (output) outputs.push(output);
+            }
+            if (outputs.length === 0) {
+                showToast(`✗ ${OUTPUT_FORMATS[format].label} 변환에 실패했습니다.`, anchor);
+                return;
+            }
+            previewState.output = outputs.join('\n\n');
+        }
+        previewState.outputFormat = format;
+        updatePreviewContent();
+    }
+
+    function setPreviewTab(tabName) {
+        if (tabName === 'captions' && !previewState.captions && !isYouTubeWatchPage()) {
+            tabName = 'render';
+        }
+        if (tabName === 'tables' && previewState.tables.length === 0) {
+            tabName = 'render';
+        }
+        previewState.activeTab = tabName;
+        const tabs = previewPanel.querySelectorAll('.mdcp-preview-tab');
+        const panes = previewPanel.querySelectorAll('.mdcp-preview-pane');
+
+        tabs.forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-tab') === tabName);
+        });
+
+        panes.forEach(pane => {
+            pane.classList.toggle('mdcp-preview-pane-hidden', pane.getAttribute('data-pane') !== tabName);
+        });
+
+        if (tabName === 'history') {
+            renderHistoryPane();
+        } else if (tabName === 'collection') {
+            renderCollectionPane();
+        }
+    }
+
+    function updatePreviewContent() {
+        if (!previewPanel) return;
+
+        const renderPane = previewPanel.querySelector('[data-pane="render"]');
+        const textarea = previewPanel.querySelector('.mdcp-preview-textarea');
+        const linksContainer = previewPanel.querySelector('[data-pane="links"] .mdcp-preview-links');
+        const videosContainer = previewPanel.querySelector('[data-pane="videos"] .mdcp-preview-videos');
+        const captionsContainer = previewPanel.querySelector('[data-pane="captions"] .mdcp-preview-captions');
+        const captionsTab = previewPanel.querySelector('.mdcp-preview-tab-captions');
+        const tablesTab = previewPanel.querySelector('.mdcp-preview-tab-tables');
+        const tablesContainer = previewPanel.querySelector('[data-pane="tables"] .mdcp-preview-tables');
+
+        const formatSelect = previewPanel.querySelector('.mdcp-preview-format');
+        if (formatSelect) {
+            formatSelect.value = previewState.outputFormat;
+        }
+
+        // The render and edit tabs show the selected output format; the other tabs keep using the Markdown
+        const isMarkdown = previewState.outputFormat === 'markdown';
+        const editable = isMarkdown ? previewState.markdown : previewState.output;
+        if (textarea.value !== editable) {
+            textarea.value = editable;
+        }
+        if (isMarkdown) {
+            renderPane.innerHTML = markdownToHtml(previewState.markdown);
+        } else if (previewState.outputFormat === 'html') {
+            renderPane.innerHTML = sanitizeHtml(previewState.output);
+        } else {
+            renderPane.innerHTML = `<pre class="mdcp-preview-output">${escapeHtml(previewState.output)}</pre>`;
+        }
+
+        const links = extractLinksFromMarkdown(previewState.markdown).filter(link => link.trim() !== '');
+        if (linksContainer) {
+            if (links.length === 0) {
+                linksContainer.innerHTML = '<div class="mdcp-preview-empty">링크가 없습니다.</div>';
+            } else {
+                linksContainer.innerHTML = links.map(link => (
+                    `<div class="mdcp-preview-link"><a href="${link}" target="_blank" rel="noopener noreferrer">${link}</a></div>`
+                )).join('');
+            }
+        }
+
+        if (videosContainer) {
+            const videoLinks = extractYouTubeWatchLinks(previewState.markdown);
+            if (videoLinks.length === 0) {
+                videosContainer.innerHTML = '<div class="mdcp-preview-empty">영상 링크가 없습니다.</div>';
+            } else {
+                videosContainer.innerHTML = videoLinks.map(link => (
+                    `<div class="mdcp-preview-link"><a href="${link}" target="_blank" rel="noopener noreferrer">${link}</a></div>`
+                )).join('');
+            }
+        }
+
+        if (tablesTab) {
+            tablesTab.classList.toggle('mdcp-hidden', previewState.tables.length === 0);
+            tablesTab.textContent = previewState.tables.length > 0 ? `표 (${previewState.tables.length})` : '표';
+        }
+        if (tablesContainer) {
+            renderTablesPane(tablesContainer);
+        }
+
+        if (captionsTab) {
+            const shouldShowCaptions = isYouTubeWatchPage() || !!previewState.captions || (previewState.captionTracks && previewState.captionTracks.length > 0);
+            captionsTab.classList.toggle('mdcp-hidden', !shouldShowCaptions);
+        }
+
+        if (captionsContainer) {
+            if (!isYouTubeWatchPage()) {
+                captionsContainer.innerHTML = '<div class="mdcp-preview-empty">유튜브 영상 페이지에서만 자막을 표시합니다.</div>';
+            } else if (previewState.captionTracks && previewState.captionTracks.length > 0 && !previewState.captions) {
+                const items = previewState.captionTracks.map((track, index) => {
+                    const label = track.name?.simpleText || track.languageCode || `자막 ${index + 1}`;
+                    const hasAutoLabel = /자동\s*생성/.test(label);
+                    const badge = track.kind === 'asr' && !hasAutoLabel ? ' (자동 생성)' : '';
+                    return `<button class="mdcp-caption-item" data-caption-index="${index}">${escapeHtml(label)}${badge}</button>`;
+                }).join('');
+                captionsContainer.innerHTML = `
+                    <div class="mdcp-preview-caption-help">복사할 자막을 선택하세요.</div>
+                    <div class="mdcp-preview-caption-list">${items}</div>
+                `;
+            } else if (!previewState.captions) {
+                captionsContainer.innerHTML = '<div class="mdcp-preview-empty">자막이 없습니다.</div>';
+            } else {
+                const meta = previewState.captionsMeta;
+                const metaLine = meta
+                    ? `<div class="mdcp-preview-caption-meta">${meta.languageName || meta.languageCode || '자막'}${meta.isAutoGenerated ? ' (자동 생성)' : ''}</div>`
+                    : '';
+                const hasTiming = previewState.captionSegments && previewState.captionSegments.length > 0;
+                const formatButtons = Object.entries(CAPTION_FORMATS).map(([format, info]) => {
+                    const active = format === previewState.captionFormat ? ' active' : '';
+                    const disabled = format !== 'text' && !hasTiming ? ' disabled' : '';
+                    return `<button class="mdcp-caption-format${active}" data-caption-format="${format}"${disabled}>${info.label}</button>`;
+                }).join('');
+                const toolbar = `
+                    <div class="mdcp-preview-caption-toolbar">
+                        ${formatButtons}
+                        <button class="mdcp-caption-format mdcp-caption-download" data-caption-download="1">파일 저장</button>
+                    </div>
+                `;
+                const windowToolbar = previewState.captionFormat === 'markdown'
+                    ? `<div class="mdcp-preview-caption-toolbar">
+                        <span class="mdcp-preview-caption-help">문단 묶기</span>
+                        ${CAPTION_PARAGRAPH_WINDOWS.map(option => {
+                            const active = option.seconds === previewState.captionParagraphSeconds ? ' active' : '';
+                            return `<button class="mdcp-caption-format${active}" data-caption-window="${option.seconds}">${option.label}</button>`;
+                        }).join('')}
+                    </div>`
+                    : '';
+                const escaped = escapeHtml(getCaptionOutput());
+                captionsContainer.innerHTML = `${metaLine}${toolbar}${windowToolbar}<pre class="mdcp-preview-caption-text">${escaped}</pre>`;
+            }
+        }
+    }
+
+    /**
+     * Get all fixed or sticky elements, traversing Shadow DOM recursively
+     */
+    function getFixedElements(root) {
+        const fixedElements = [];
+        // Use try-catch to avoid issues with closed shadow roots or access denial
+        try {
+            const allElements = root.querySelectorAll('*');
+            for (const el of allElements) {
+                const style = window.getComputedStyle(el);
+                if (style.position === 'fixed' || style.position === 'sticky') {
+                    fixedElements.push(el);
+                }
+
+                if (el.shadowRoot) {
+                    fixedElements.push(...getFixedElements(el.shadowRoot));
+                }
+            }
+        } catch (e) {
+            console.warn('Error finding fixed elements:', e);
+        }
+        return fixedElements;
+    }
+
+    /**
+     * Capture a specific area of the document using native API
+     */
+    async function captureArea(x, y, width, height, options = {}) {
+        try {
+            const viewportWidth = window.innerWidth;
+            const viewportHeight = window.innerHeight;
+            const ratio = window.devicePixelRatio || 1;
+
+            const originalScroll = { x: window.scrollX, y: window.scrollY };
+
+            // Hide fixed/sticky elements to avoid duplication during stitching
+            const fixedElements = [];
+            if (options.hideFixed !== false) {
+                const found = getFixedElements(document.body);
+                for (const el of found) {
+                    fixedElements.push(el);
+                    el.dataset.mdcpHidden = '1';
+                    el.style.visibility = 'hidden';
+                }
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            const ctx = canvas.getContext('2d');
+
+            const maxX = x + width;
+            const maxY = y + height;
+
+            // Loop through the area in viewport-sized chunks
+            for (let cy = y; cy < maxY; cy += viewportHeight) {
+                for (let cx = x; cx < maxX; cx += viewportWidth) {
+                    window.scrollTo(cx, cy);
+                    // Wait for render/scroll transparency to settle
+                    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+                    await new Promise(resolve => setTimeout(resolve, 250)); // Wait for lazy load/render
+
+                    const scrollX = window.scrollX;
+                    const scrollY = window.scrollY;
+
+                    const response = await chrome.runtime.sendMessage({ type: 'mdcp-capture-visible' });
+                    if (!response || response.error || !response.dataUrl) {
+                        console.warn('Capture failed for chunk:', response?.error);
+                        continue;
+                    }
+
+                    const img = new Image();
+                    img.src = response.dataUrl;
+                    await new Promise((resolve) => {
+                        img.onload = resolve;
+                        img.onerror = resolve; // Continue even if image load fails
+                    });
+
+                    // Calculate overlap between Viewport and Target Rect
+                    const visibleX = Math.max(x, scrollX);
+                    const visibleY = Math.max(y, scrollY);
+                    const visibleRight = Math.min(maxX, scrollX + viewportWidth);
+                    const visibleBottom = Math.min(maxY, scrollY + viewportHeight);
+
+                    const visibleW = visibleRight - visibleX;
+                    const visibleH = visibleBottom - visibleY;
+
+                    if (visibleW > 0 && visibleH > 0) {
+                        // Source (relative to viewport/image)
+                        const sx = visibleX - scrollX;
+                        const sy = visibleY - scrollY;
+
+                        // Destination (relative to canvas)
+                        const dx = visibleX - x;
+                        const dy = visibleY - y;
+
+                        ctx.drawImage(
+                            img,
+                            sx * ratio, sy * ratio, visibleW * ratio, visibleH * ratio,
+                            dx * ratio, dy * ratio, visibleW * ratio, visibleH * ratio
+                        );
+                    }
+                }
+            }
+
+            // Restore state
+            fixedElements.forEach(el => {
+                if (el.dataset.mdcpHidden === '1') {
+                    el.style.visibility = '';
+                    delete el.dataset.mdcpHidden;
+                }
+            });
+            window.scrollTo(originalScroll.x, originalScroll.y);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            return blob;
+        } catch (error) {
+            console.error('Capture Area failed:', error);
+            return null;
+        }
+    }
+
+    async function copyMultipleElementsAsImage(elements) {
+        try {
+            showToast('이미지 생성 중...', floatingButton);
+
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+            elements.forEach(el => {
+                const rect = el.getBoundingClientRect();
+                const absLeft = rect.left + window.scrollX;
+                const absTop = rect.top + window.scrollY;
+                minX = Math.min(minX, absLeft);
+                minY = Math.min(minY, absTop);
+                maxX = Math.max(maxX, absLeft + rect.width);
+                maxY = Math.max(maxY, absTop + rect.height);
+            });
+
+            // Adjust for padding
+            minX = Math.max(0, minX - 10);
+            minY = Math.max(0, minY - 10);
+            maxX = Math.min(document.documentElement.scrollWidth, maxX + 10);
+            maxY = Math.min(document.documentElement.scrollHeight, maxY + 10);
+
+            const width = maxX - minX;
+            const height = maxY - minY;
+
+            if (width <= 0 || height <= 0) return false;
+
+            const blob = await captureArea(minX, minY, width, height);
+            if (!blob) {
+                showToast('✗ 이미지 캡처에 실패했습니다.', floatingButton);
+                return false;
+            }
+
+            await navigator.clipboard.write([
+                new ClipboardItem({ 'image/png': blob })
+            ]);
+
+            showToast('✓ 이미지가 클립보드에 복사되었습니다!', floatingButton);
+            recordHistory('image');
+            return true;
+        } catch (error) {
+            console.error('Failed to copy image to clipboard:', error);
+            showToast('✗ 이미지 복사에 실패했습니다.', floatingButton);
+            return false;
+        }
+    }
+
+    /**
+     * Copy full page as image
+     */
+    async function copyFullPageAsImage() {
+        try {
+            showToast('전체 페이지 이미지 생성 중...', floatingButton);
+
+            const width = Math.max(
+                document.documentElement.scrollWidth,
+                document.body.scrollWidth,
+                document.documentElement.clientWidth
+            );
+            const height = Math.max(
+                document.documentElement.scrollHeight,
+                document.body.scrollHeight,
+                document.documentElement.clientHeight
+            );
+
+            const blob = await captureArea(0, 0, width, height);
+            if (!blob) {
+                showToast('✗ 전체 페이지 이미지 캡처에 실패했습니다.', floatingButton);
+                return false;
+            }
+
+            await navigator.clipboard.write([
+                new ClipboardItem({ 'image/png': blob })
+            ]);
+
+            showToast('✓ 전체 페이지 이미지가 클립보드에 복사되었습니다!', floatingButton);
+            recordHistory('image');
+            return true;
+        } catch (error) {
+            console.error('Failed to copy full page image:', error);
+            showToast('✗ 전체 페이지 이미지 복사에 실패했습니다.', floatingButton);
+            return false;
+        }
+    }
+
+    /**
+     * Resolve once the page has had no DOM mutations for quietMs (or after timeoutMs)
+     */
+    function waitForDomSettle(quietMs, timeoutMs) {
+        return new Promise(resolve => {
+            let quietTimer = null;
+            let timeoutTimer = null;
+            const observer = new MutationObserver(() => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(finish, quietMs);
+            });
+            function finish() {
+                observer.disconnect();
+                clearTimeout(quietTimer);
+                clearTimeout(timeoutTimer);
+                resolve();
+            }
+            observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['src', 'srcset', 'class', 'style'] });
+            quietTimer = setTimeout(finish, quietMs);
+            timeoutTimer = setTimeout(finish, timeoutMs);
         });
     }
 
-    window.addEventListener('message', (event) => {
-        if (event.source !== window) return;
-        if (!event.data || event.data.type !== 'MDCP_BRIDGE_READY') return;
-        console.log('MDCP bridge ready');
-    });
+    /**
+     * Scroll through the page so lazy-loaded content and images render, then restore
+     * the scroll position. Stops at settings.lazyLoad.maxSteps, when the page height
+     * stops growing at the bottom, or when ESC is pressed.
+     */
+    async function loadLazyContent(anchor = floatingButton) {
+        const scroller = document.scrollingElement || document.documentElement;
+        const start = { x: window.scrollX, y: window.scrollY };
+        const maxSteps = Math.max(1, settings.lazyLoad.maxSteps);
+        const settleMs = Math.max(100, settings.lazyLoad.settleMs);
+        const progress = showProgressToast('지연 로딩 콘텐츠 불러오는 중... (ESC: 중단)', anchor);
+        let aborted = false;
+        const handleAbort = (event) => {
+            if (event.key === 'Escape') aborted = true;
+        };
+        document.addEventListener('keydown', handleAbort, true);
 
-    function sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        try {
+            let lastHeight = scroller.scrollHeight;
+            let unchangedAtBottom = 0;
+            for (let step = 0; step < maxSteps && !aborted; step++) {
+                window.scrollTo(start.x, window.scrollY + Math.max(window.innerHeight * 0.9, 200));
+                await waitForDomSettle(settleMs, settleMs * 4);
+                progress.update(`지연 로딩 콘텐츠 불러오는 중... ${step + 1}/${maxSteps} (ESC: 중단)`);
+
+                const height = scroller.scrollHeight;
+                const atBottom = window.scrollY + window.innerHeight >= height - 2;
+                if (atBottom && height <= lastHeight) {
+                    // Give infinite feeds one more chance to append before stopping
+                    if (++unchangedAtBottom >= 2) break;
+                } else {
+                    unchangedAtBottom = 0;
+                }
+                lastHeight = height;
+            }
+        } finally {
+            document.removeEventListener('keydown', handleAbort, true);
+            window.scrollTo(start.x, start.y);
+            progress.close();
+        }
     }
 
-    async function waitForElement(selector, timeoutMs = 3000) {
-        const start = Date.now();
-        while (Date.now() - start < timeoutMs) {
-            const el = document.querySelector(selector);
-            if (el) return el;
-            await sleep(100);
+    /**
+     * Copy full page as Markdown
+     */
+    async function copyFullPageAsMarkdown(options = {}) {
+        try {
+            const articleOnly = options.articleOnly ?? settings.fullPageMode === 'article';
+            if (settings.lazyLoad.enabled) {
+                await loadLazyContent(floatingButton);
+            }
+            showToast(articleOnly ? '본문 Markdown 생성 중...' : '전체 페이지 Markdown 생성 중...', floatingButton);
+
+            let root = document.body;
+            if (articleOnly) {
+                // A site rule's main selector wins over the detected article
+                root = findSiteRuleMainContent() || findMainContent() || document.body;
+                if (root === document.body) {
+                    console.log('No clear main content found, converting the whole page.');
+                }
+            }
+
+            const converted = await convertToMarkdown(root, {
+                anchor: floatingButton,
+                stripBoilerplate: articleOnly
+            });
+            const markdown = converted ? addFrontMatter(converted, 1) : converted;
+            if (!markdown) {
+                showToast('✗ Markdown 변환에 실패했습니다.', floatingButton);
+                return false;
+            }
+            showPreviewPanel(markdown, {
+                tables: collectTableData([root]),
+                source: { elements: [root], options: { stripBoilerplate: articleOnly } }
+            });
+            const copied = await copyMarkdownToClipboard(markdown, null, floatingButton);
+            if (copied) {
+                recordHistory('markdown', markdown);
+                if (settings.autoCollect) collectAfterCopy(markdown, floatingButton);
+            }
+            return copied;
+        } catch (error) {
+            console.error('Failed to copy full page Markdown:', error);
+            showToast('✗ 전체 페이지 Markdown 복사에 실패했습니다.', floatingButton);
+            return false;
         }
-        return null;
     }
 
-    function collectTranscriptText() {
-        const segments = Array.from(document.querySelectorAll('ytd-transcript-segment-renderer'));
-        if (segments.length === 0) return '';
-        const lines = segments.map(seg => {
-            const textEl = seg.querySelector('.segment-text');
-            const text = textEl?.textContent?.replace(/\s+/g, ' ').trim() || '';
-            return text;
-        }).filter(Boolean);
-        return lines.join('\n');
+    /**
+     * Numbers reference-style link labels ([text][3] and "[3]: url") and, optionally,
+     * footnote labels ([^3]) on from where the previous part stopped, so Markdown converted
+     * in separate turndown() runs can be joined without clashing definitions. Code is left alone.
+     */
+    function createLabelRenumberer(options = {}) {
+        let referenceOffset = 0;
+        let footnoteOffset = 0;
+        return (markdown) => {
+            let maxReference = 0;
+            let maxFootnote = 0;
+            const shiftReference = (number) => {
+                maxReference = Math.max(maxReference, Number(number));
+                return Number(number) + referenceOffset;
+            };
+            const result = markdown.split(/(```[\s\S]*?```|`[^`\n]*`)/).map((part, index) => {
+                if (index % 2 === 1) return part;
+                let shifted = part
+                    .replace(/\]\[(\d+)\]/g, (match, number) => `][${shiftReference(number)}]`)
+                    .replace(/^\[(\d+)\]:/gm, (match, number) => `[${shiftReference(number)}]:`);
+                if (options.footnotes) {
+                    shifted = shifted.replace(/\[\^(\d+)\]/g, (match, number) => {
+                        maxFootnote = Math.max(maxFootnote, Number(number));
+                        return `[^${Number(number) + footnoteOffset}]`;
+                    });
+                }
+                return shifted;
+            }).join('');
+            referenceOffset += maxReference;
+            footnoteOffset += maxFootnote;
+            return result;
+        };
     }
 
-    async function tryScrapeTranscript() {
-        // If transcript is already open, just collect it.
-        const existing = collectTranscriptText();
-        if (existing) return existing;
+    /**
+     * Convert elements and copy them in the given format while the preview keeps the
+     * Markdown for its link, table and history tabs. Each element is prepared once and
+     * both outputs are derived from that clone.
+     */
+    async function copyElementsAsMarkdown(elements, anchor = floatingButton, format = 'markdown') {
+        const isMarkdown = format === 'markdown' || !OUTPUT_FORMATS[format];
+        const siteRules = getActiveSiteRules();
+        const clones = [];
+        for (const el of elements) {
+            try {
+                clones.push(await prepareClone(el, { anchor, siteRules }));
+            } catch (error) {
+                console.error('Failed to prepare element:', error);
+            }
+        }
+        // The footnote pass and local anchors rewrite the clone, so the other format gets its own
+        // copy; its anchors stay as they are because its headings don't get Markdown slugs
+        const formatClones = isMarkdown ? [] : clones.map(clone => clone.cloneNode(true));
+        // Heading anchors are numbered across the whole copy, like the combined Markdown
+        localizeFragmentLinks(clones);
+
+        const markdowns = [];
+        const outputs = [];
+        const footnotes = createFootnoteCollector();
+        for (const [index, clonedElement] of clones.entries()) {
+            try {
+                if (!isMarkdown) {
+                    const output = cloneToFormat(formatClones[index], format);
+                    if (output) outputs.push(output);
+                }
+                const md = cloneToMarkdown(clonedElement, siteRules, footnotes);
+                if (md) markdowns.push(md);
+            } catch (error) {
+                console.error('Failed to convert element:', error);
+            }
+        }
+
+        if (markdowns.length === 0) {
+            showToast('✗ Markdown 변환에 실패했습니다.', anchor);
+            return false;
+        }
+
+        // Each element is its own turndown() run; footnotes already share one collector
+        const renumber = createLabelRenumberer();
+        const body = markdowns.map(renumber).join('\n\n') + formatFootnoteDefinitions(footnotes);
+        const combinedMarkdown = addFrontMatter(body, elements.length);
+        const previewOptions = { tables: collectTableData(elements), source: { elements, options: {} } };
+
+        if (!isMarkdown) {
+            const output = outputs.join('\n\n');
+            const copied = await copyOutputToClipboard(output, format, `✓ ${OUTPUT_FORMATS[format].label}(으)로 복사되었습니다!`, anchor);
+            if (copied) {
+                showPreviewPanel(combinedMarkdown, { ...previewOptions, outputFormat: format, output });
+                recordHistory(format, output);
+            }
+            return copied;
+        }
+
+        // Copy to clipboard and show preview
+        const copied = await copyMarkdownToClipboard(combinedMarkdown, null, anchor);
+        if (copied) {
+            showPreviewPanel(combinedMarkdown, previewOptions);
+            recordHistory('markdown', combinedMarkdown);
+            if (settings.autoCollect) collectAfterCopy(combinedMarkdown, anchor);
+        }
+        return copied;
+    }
 
-        // Recently YouTube added a direct "Show transcript" button below the description
-        const directTranscriptBtn = document.querySelector('button[aria-label="Show transcript"], button[aria-label="자막 표시"], ytd-video-description-transcript-section-renderer button');
+    // Ancestors re-created around a cloned range so partial selections keep their structure
+    const RANGE_CONTEXT_TAGS = new Set([
+        'A', 'STRONG', 'B', 'EM', 'I', 'U', 'S', 'DEL', 'MARK', 'CODE', 'SUB', 'SUP',
+        'LI', 'UL', 'OL', 'DL', 'DT', 'DD', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TH', 'TD',
+        'PRE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'
+    ]);
 
-        if (directTranscriptBtn) {
-            directTranscriptBtn.click();
-        } else {
-            // Try to open via the "more actions" menu
-            const moreButton = document.querySelector('ytd-watch-metadata #button[aria-label]') ||
-                document.querySelector('ytd-video-primary-info-renderer #button[aria-label]') ||
-                document.querySelector('button[aria-label*="더보기"], button[aria-label*="More actions"]');
+    function hasTextSelection(selection = window.getSelection()) {
+        return !!selection && !selection.isCollapsed && selection.rangeCount > 0 &&
+            selection.toString().trim() !== '';
+    }
 
-            if (moreButton) {
-                moreButton.click();
-                await sleep(200);
-                const menuItem = Array.from(document.querySelectorAll('tp-yt-paper-item, ytd-menu-service-item-renderer'))
-                    .find(item => {
-                        const text = item.textContent || '';
-                        return text.includes('자막 표시') || text.includes('Show transcript');
-                    });
-                if (menuItem) {
-                    menuItem.click();
+    /**
+     * Clone a range's contents together with the formatting and structural ancestors
+     * (lists, tables, links, emphasis, headings) that cloneContents() leaves out
+     */
+    function cloneRangeWithContext(range) {
+        let content = range.cloneContents();
+        const startElement = range.startContainer.nodeType === Node.ELEMENT_NODE
+            ? range.startContainer
+            : range.startContainer.parentElement;
+        let ancestor = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+            ? range.commonAncestorContainer
+            : range.commonAncestorContainer.parentElement;
+
+        while (ancestor && ancestor !== document.body && ancestor !== document.documentElement) {
+            if (RANGE_CONTEXT_TAGS.has(ancestor.tagName)) {
+                const wrapper = ancestor.cloneNode(false);
+
+                if (ancestor.tagName === 'OL') {
+                    // Keep numbering when the selection starts in the middle of a list
+                    const items = Array.from(ancestor.children).filter(child => child.tagName === 'LI');
+                    const firstItem = items.find(item => item.contains(startElement));
+                    const index = firstItem ? items.indexOf(firstItem) : 0;
+                    if (index > 0) {
+                        wrapper.setAttribute('start', String((ancestor.start || 1) + index));
+                    }
                 }
-            } else {
-                // Try expanding description to find the transcript button
-                const expandDescBtn = document.querySelector('#expand, #description-inline-expander');
-                if (expandDescBtn) {
-                    expandDescBtn.click();
-                    await sleep(300);
-                    const btn = document.querySelector('ytd-video-description-transcript-section-renderer button');
-                    if (btn) btn.click();
+
+                if (ancestor.tagName === 'TABLE' && ancestor.tHead && !ancestor.tHead.contains(startElement)) {
+                    // Bring the header row along when only body rows were selected
+                    wrapper.appendChild(ancestor.tHead.cloneNode(true));
+                    const topNodes = content.nodeType === Node.DOCUMENT_FRAGMENT_NODE
+                        ? Array.from(content.childNodes)
+                        : [content];
+                    if (!topNodes.some(node => node.nodeName === 'TBODY' || node.nodeName === 'TFOOT')) {
+                        const tbody = document.createElement('tbody');
+                        tbody.appendChild(content);
+                        content = tbody;
+                    }
                 }
+
+                wrapper.appendChild(content);
+                content = wrapper;
             }
+            ancestor = ancestor.parentElement;
         }
 
-        // Wait for transcript to render.
-        const rendered = await waitForElement('ytd-transcript-renderer, ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-searchable-transcript"]');
+        const container = document.createElement('div');
+        container.appendChild(content);
+        return container;
+    }
 
-        if (rendered) {
-            // Further wait for actual text content to appear (network delay)
-            let retries = 10;
-            while (retries > 0) {
-                const text = collectTranscriptText();
-                if (text && text.trim().length > 0) {
-                    return text;
-                }
-                await sleep(500);
-                retries--;
-            }
+    /**
+     * Copy the current text selection as Markdown
+     */
+    async function copySelectionAsMarkdown(anchor = floatingButton, selection = window.getSelection()) {
+        if (!hasTextSelection(selection)) {
+            showToast('✗ 선택된 텍스트가 없습니다.', anchor);
+            return false;
         }
 
-        return collectTranscriptText();
+        const containers = [];
+        for (let i = 0; i < selection.rangeCount; i++) {
+            containers.push(cloneRangeWithContext(selection.getRangeAt(i)));
+        }
+        return copyElementsAsMarkdown(containers, anchor);
     }
 
-    function getYouTubeCaptionTracks() {
-        const response = getYouTubePlayerResponse();
-        const tracks = response?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-        return Array.isArray(tracks) ? tracks : [];
+    /**
+     * Copy the tables in (or around) the given elements as CSV, TSV or JSON
+     */
+    async function copyTablesAsData(elements, format = previewState.tableFormat, anchor = floatingButton) {
+        const tables = collectTableData(elements);
+        if (tables.length === 0) {
+            showToast('✗ 표를 찾지 못했습니다.', anchor);
+            return false;
+        }
+        const output = formatTableData(tables, format);
+        const label = TABLE_EXPORT_FORMATS[format]?.label || format;
+        const copied = await copyToClipboard(output, `✓ 표 ${tables.length}개를 ${label}로 복사했습니다!`, anchor);
+        if (copied) {
+            previewState.tableFormat = format;
+            // Show the copied tables themselves, not whatever the preview held before
+            const tableElements = findTables(elements);
+            const markdown = (await Promise.all(tableElements.map(table => convertToMarkdown(table)))).join('\n\n');
+            showPreviewPanel(markdown, { tables, source: { elements: tableElements, options: {} } });
+            setPreviewTab('tables');
+            recordHistory('table', output);
+        }
+        return copied;
     }
 
-    function getYouTubeCaptionDebugInfo() {
-        const response = getYouTubePlayerResponse();
-        const hasResponse = !!response;
-        const hasCaptions = !!response?.captions?.playerCaptionsTracklistRenderer;
-        const tracks = getYouTubeCaptionTracks();
-        const trackCount = tracks.length;
-        return { hasResponse, hasCaptions, trackCount, tracks, source: cachedPlayerResponseSource };
+    // Hints used to score main-content candidates by class name and id
+    const POSITIVE_CONTENT_PATTERN = /article|body|content|entry|hentry|main|page|post|text|blog|story|prose|markdown/i;
+    const NEGATIVE_CONTENT_PATTERN = /comment|meta|footer|footnote|sidebar|widget|nav|menu|breadcrumb|header|masthead|banner|cookie|consent|gdpr|related|recommend|share|social|sponsor|promo|advert|\bads?\b|newsletter|subscribe|popup|modal|toolbar|skip/i;
+    const BOILERPLATE_SELECTOR = [
+        'nav', 'aside', 'footer', 'form', 'dialog',
+        '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+        '[role="dialog"]', '[aria-modal="true"]', '[aria-hidden="true"]'
+    ].join(', ');
+
+    function getTextLength(element) {
+        return (element.textContent || '').replace(/\s+/g, ' ').trim().length;
     }
 
-    function pickYouTubeCaptionTrack(tracks) {
-        if (!tracks.length) return null;
+    /**
+     * Measure text, link text and comma counts for every element under root in one
+     * bottom-up pass, so scoring candidates doesn't re-read textContent per ancestor
+     */
+    function measureTextStats(root) {
+        const stats = new Map();
+        const visit = (element) => {
+            const entry = { text: 0, linkText: 0, links: 0, commas: 0 };
+            element.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    const text = child.data.replace(/\s+/g, ' ');
+                    if (text === ' ') return; // indentation between tags
+                    entry.text += text.length;
+                    entry.commas += (text.match(/[,，、]/g) || []).length;
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    const childEntry = visit(child);
+                    entry.text += childEntry.text;
+                    entry.linkText += childEntry.linkText;
+                    entry.links += childEntry.links;
+                    entry.commas += childEntry.commas;
+                }
+            });
+            if (element.tagName === 'A') {
+                entry.linkText = entry.text;
+                entry.links += 1;
+            }
+            stats.set(element, entry);
+            return entry;
+        };
+        visit(root);
+        return stats;
+    }
 
-        const preferredLangs = (navigator.languages && navigator.languages.length > 0)
-            ? navigator.languages
-            : [navigator.language || ''];
+    function getLinkDensity(entry) {
+        if (!entry || entry.text === 0) return 0;
+        return Math.min(1, entry.linkText / entry.text);
+    }
 
-        const normalized = preferredLangs
-            .filter(Boolean)
-            .map(lang => lang.toLowerCase());
+    function getClassWeight(element) {
+        const hint = `${element.className && typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+        let weight = 0;
+        if (NEGATIVE_CONTENT_PATTERN.test(hint)) weight -= 25;
+        if (POSITIVE_CONTENT_PATTERN.test(hint)) weight += 25;
+        return weight;
+    }
 
-        const scored = tracks.map(track => {
-            const langCode = (track.languageCode || '').toLowerCase();
-            const baseLang = langCode.split('-')[0];
-            let score = 0;
+    function isVisibleElement(element) {
+        if (element.hidden) return false;
+        const style = window.getComputedStyle(element);
+        return style.display !== 'none' && style.visibility !== 'hidden';
+    }
 
-            normalized.forEach(pref => {
-                if (langCode === pref) score += 20;
-                if (baseLang && pref.startsWith(baseLang)) score += 10;
-                if (pref.startsWith(baseLang)) score += 6;
-                if (langCode.startsWith(pref)) score += 6;
-            });
+    /**
+     * Find the element that most likely holds the page's main content.
+     * Paragraph-like blocks score their parent and grandparent by length and commas;
+     * candidates are then weighted by semantic tag, class/id hints and link density.
+     * Returns null when no candidate stands out.
+     */
+    function findMainContent(root = document.body) {
+        const stats = measureTextStats(root);
+        const lengthOf = element => stats.has(element) ? stats.get(element).text : getTextLength(element);
+        const scores = new Map();
+        const addScore = (element, value) => {
+            if (!element || element === document.documentElement) return;
+            scores.set(element, (scores.get(element) || 0) + value);
+        };
 
-            if (!track.kind) score += 2; // prefer non-ASR
-            if (track.kind === 'asr') score -= 1;
+        root.querySelectorAll('p, pre, blockquote, td, li, h2, h3').forEach(block => {
+            const { text, commas } = stats.get(block);
+            if (text < 25 || block.closest(BOILERPLATE_SELECTOR)) return;
+            const score = 2 + commas + Math.min(Math.floor(text / 100), 3);
+            addScore(block.parentElement, score);
+            addScore(block.parentElement?.parentElement, score / 2);
+        });
 
-            return { track, score };
+        root.querySelectorAll('article, main, [role="main"]').forEach(element => {
+            if (lengthOf(element) >= 200) addScore(element, 0);
         });
 
-        scored.sort((a, b) => b.score - a.score);
-        return scored[0]?.track || tracks[0];
-    }
+        let best = null;
+        let bestScore = 0;
+        scores.forEach((score, element) => {
+            if (!isVisibleElement(element)) return;
+            let total = score + getClassWeight(element);
+            if (element.matches('article, main, [role="main"]')) total += 30;
+            total *= 1 - getLinkDensity(stats.get(element));
+            if (total > bestScore) {
+                best = element;
+                bestScore = total;
+            }
+        });
 
-    async function waitForYouTubeCaptionTracks(retries = 6, delayMs = 500) {
-        for (let i = 0; i < retries; i++) {
-            const tracks = getYouTubeCaptionTracks();
-            if (tracks.length > 0) return tracks;
-            await new Promise(resolve => setTimeout(resolve, delayMs));
-        }
-        return [];
-    }
+        if (!best || bestScore < 20 || lengthOf(best) < 250) return null;
 
-    async function fetchCaptionFromTrack(track) {
-        let captionsText = '';
-        console.log('Fetching captions via UI scraping...');
-        const transcriptText = await tryScrapeTranscript();
-        if (transcriptText) {
-            captionsText = transcriptText;
-            console.log('Successfully scraped transcript from the UI menu.');
-        } else {
-            console.warn('UI Scraping failed to find transcript text.');
+        // Prefer an enclosing semantic container when the winner is just one part of it
+        const semantic = best.parentElement?.closest('article, main, [role="main"]');
+        if (semantic && semantic !== root && lengthOf(best) >= lengthOf(semantic) * 0.6) {
+            best = semantic;
         }
+        return best === root ? null : best;
+    }
 
-        const meta = {
-            languageCode: track?.languageCode || '',
-            languageName: track?.name?.simpleText || '',
-            isAutoGenerated: track?.kind === 'asr'
-        };
+    /**
+     * Remove navigation, sidebars, banners and link-heavy blocks from a cloned article
+     */
+    function removeBoilerplate(element) {
+        element.querySelectorAll(BOILERPLATE_SELECTOR).forEach(el => el.remove());
+        element.querySelectorAll('header').forEach(header => {
+            // Keep article headers that carry the title, drop site headers
+            if (!header.querySelector('h1, h2')) header.remove();
+        });
+        // Blocks are visited before their descendants, so measuring up front matches the live tree
+        const stats = measureTextStats(element);
+        element.querySelectorAll('div, section, ul, ol, table').forEach(block => {
+            if (!element.contains(block)) return; // already removed with an ancestor
+            const entry = stats.get(block);
+            const negative = getClassWeight(block) < 0;
+            if ((negative && getLinkDensity(entry) > 0.2) ||
+                (entry.text > 0 && entry.text < 200 && getLinkDensity(entry) > 0.6 && entry.links >= 3)) {
+                block.remove();
+            }
+        });
+    }
 
-        return { text: captionsText, meta };
+    /**
+     * Copy image to clipboard
+     */
+    async function copyImageToClipboard(element) {
+        return copyMultipleElementsAsImage([element]);
     }
 
     /**
-     * Create or update preview panel
+     * Extract YouTube video links from element
      */
-    function showPreviewPanel(markdown) {
-        previewState.markdown = markdown;
+    function extractYouTubeLinks(element) {
+        const links = [];
+        const linkElements = element.tagName === 'A' ? [element] : Array.from(element.querySelectorAll('a'));
 
-        if (!previewPanel) {
-            previewPanel = document.createElement('div');
-            previewPanel.className = 'mdcp-preview-panel';
-            previewPanel.innerHTML = `
-                <div class="mdcp-preview-header">
-                    <div class="mdcp-preview-title">Markdown 미리보기</div>
-                    <div class="mdcp-preview-actions">
-                        <button class="mdcp-preview-copy">복사</button>
-                        <button class="mdcp-preview-close">닫기</button>
-                    </div>
-                </div>
-                <div class="mdcp-preview-tabs">
-                    <button class="mdcp-preview-tab active" data-tab="render">렌더링</button>
-                    <button class="mdcp-preview-tab" data-tab="edit">수정</button>
-                    <button class="mdcp-preview-tab" data-tab="links">링크</button>
-                    <button class="mdcp-preview-tab" data-tab="videos">영상링크</button>
-                    <button class="mdcp-preview-tab mdcp-preview-tab-captions" data-tab="captions">자막</button>
-                </div>
-                <div class="mdcp-preview-body">
-                    <div class="mdcp-preview-pane" data-pane="render"></div>
-                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="edit">
-                        <textarea class="mdcp-preview-textarea" spellcheck="false"></textarea>
-                    </div>
-                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="links">
-                        <div class="mdcp-preview-links"></div>
-                    </div>
-                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="videos">
-                        <div class="mdcp-preview-links mdcp-preview-videos"></div>
-                    </div>
-                    <div class="mdcp-preview-pane mdcp-preview-pane-hidden" data-pane="captions">
-                        <div class="mdcp-preview-captions"></div>
-                    </div>
-                </div>
-                <div class="mdcp-preview-resize-handle tl" data-resize="tl" title="크기 변경"></div>
-                <div class="mdcp-preview-resize-handle tr" data-resize="tr" title="크기 변경"></div>
-                <div class="mdcp-preview-resize-handle bl" data-resize="bl" title="크기 변경"></div>
-                <div class="mdcp-preview-resize-handle br" data-resize="br" title="크기 변경"></div>
-            `;
-            document.body.appendChild(previewPanel);
+        linkElements.forEach(link => {
+            const href = link.href;
+            // Match YouTube video URLs
+            if (href && (href.includes('youtube.com/watch?v=') || href.includes('youtu.be/'))) {
+                links.push(href);
+            }
+        });
 
-            const header = previewPanel.querySelector('.mdcp-preview-header');
-            header.addEventListener('mousedown', (event) => {
-                if (event.button !== 0) return;
-                isPreviewDragging = true;
-                const rect = previewPanel.getBoundingClientRect();
-                previewDragOffset.x = event.clientX - rect.left;
-                previewDragOffset.y = event.clientY - rect.top;
-                event.preventDefault();
-            });
+        return links;
+    }
 
-            const resizeHandles = previewPanel.querySelectorAll('.mdcp-preview-resize-handle');
-            resizeHandles.forEach(handle => handle.addEventListener('mousedown', (event) => {
-                if (event.button !== 0) return;
-                isPreviewResizing = true;
-                const rect = previewPanel.getBoundingClientRect();
-                previewResizeStart = {
-                    x: event.clientX,
-                    y: event.clientY,
-                    width: rect.width,
-                    height: rect.height,
-                    left: rect.left,
-                    top: rect.top,
-                    handle: event.currentTarget.getAttribute('data-resize')
-                };
-                event.preventDefault();
-                event.stopPropagation();
-            }));
+    function getYouTubeMetadataFields() {
+        const title =
+            document.querySelector('h1.ytd-watch-metadata yt-formatted-string')?.textContent?.trim() ||
+            document.querySelector('h1.title')?.textContent?.trim() ||
+            document.querySelector('meta[name="title"]')?.getAttribute('content')?.trim() ||
+            document.title?.replace(' - YouTube', '').trim();
 
-            document.addEventListener('mousemove', (event) => {
-                if (isPreviewDragging) {
-                    const maxX = window.innerWidth - previewPanel.offsetWidth;
-                    const maxY = window.innerHeight - previewPanel.offsetHeight;
-                    const nextLeft = Math.max(12, Math.min(event.clientX - previewDragOffset.x, maxX - 12));
-                    const nextTop = Math.max(12, Math.min(event.clientY - previewDragOffset.y, maxY - 12));
-                    previewPanel.style.left = `${nextLeft}px`;
-                    previewPanel.style.top = `${nextTop}px`;
-                    previewPanel.style.right = 'auto';
-                    previewPanel.style.bottom = 'auto';
-                }
+        const channel =
+            document.querySelector('#owner ytd-channel-name yt-formatted-string')?.textContent?.trim() ||
+            document.querySelector('ytd-channel-name a')?.textContent?.trim() ||
+            document.querySelector('meta[itemprop="channelId"]')?.getAttribute('content')?.trim() ||
+            '';
+
+        const viewCount =
+            document.querySelector('span.view-count')?.textContent?.trim() ||
+            document.querySelector('meta[itemprop="interactionCount"]')?.getAttribute('content')?.trim() ||
+            '';
+
+        const publishedDate =
+            document.querySelector('#info-strings yt-formatted-string')?.textContent?.trim() ||
+            document.querySelector('meta[itemprop="datePublished"]')?.getAttribute('content')?.trim() ||
+            '';
+
+        const url =
+            document.querySelector('link[rel="canonical"]')?.getAttribute('href') ||
+            window.location.href;
 
-                if (isPreviewResizing) {
-                    const deltaX = event.clientX - previewResizeStart.x;
-                    const deltaY = event.clientY - previewResizeStart.y;
-                    let nextWidth = previewResizeStart.width;
-                    let nextHeight = previewResizeStart.height;
-                    let nextLeft = previewResizeStart.left;
-                    let nextTop = previewResizeStart.top;
+        return { title, channel, viewCount, publishedDate, url };
+    }
 
-                    if (previewResizeStart.handle.includes('r')) {
-                        nextWidth = Math.max(360, previewResizeStart.width + deltaX);
-                    }
-                    if (previewResizeStart.handle.includes('l')) {
-                        nextWidth = Math.max(360, previewResizeStart.width - deltaX);
-                        nextLeft = previewResizeStart.left + deltaX;
-                    }
-                    if (previewResizeStart.handle.includes('b')) {
-                        nextHeight = Math.max(260, previewResizeStart.height + deltaY);
-                    }
-                    if (previewResizeStart.handle.includes('t')) {
-                        nextHeight = Math.max(260, previewResizeStart.height - deltaY);
-                        nextTop = previewResizeStart.top + deltaY;
-                    }
+    function extractYouTubeMetadata() {
+        const { title, channel, viewCount, publishedDate, url } = getYouTubeMetadataFields();
 
-                    const maxLeft = window.innerWidth - nextWidth - 12;
-                    const maxTop = window.innerHeight - nextHeight - 12;
-                    nextLeft = Math.max(12, Math.min(nextLeft, maxLeft));
-                    nextTop = Math.max(12, Math.min(nextTop, maxTop));
+        const lines = [
+            title ? `# ${title}` : '',
+            url ? `영상 링크: ${url}` : '',
+            channel ? `채널명: ${channel}` : '',
+            viewCount ? `조회수: ${viewCount}` : '',
+            publishedDate ? `게시일: ${publishedDate}` : ''
+        ].filter(Boolean);
 
-                    previewPanel.style.left = `${nextLeft}px`;
-                    previewPanel.style.top = `${nextTop}px`;
-                    previewPanel.style.right = 'auto';
-                    previewPanel.style.bottom = 'auto';
-                    previewPanel.style.width = `${nextWidth}px`;
-                    previewPanel.style.height = `${nextHeight}px`;
-                }
-            });
+        return lines.join('\n');
+    }
 
-            document.addEventListener('mouseup', () => {
-                isPreviewDragging = false;
-                isPreviewResizing = false;
-            });
+    function getMetaContent(selectors) {
+        for (const selector of selectors) {
+            const value = document.querySelector(selector)?.getAttribute('content')?.trim();
+            if (value) return value;
+        }
+        return '';
+    }
 
-            const closeButton = previewPanel.querySelector('.mdcp-preview-close');
-            closeButton.addEventListener('click', () => {
-                if (previewImageUrl) {
-                    URL.revokeObjectURL(previewImageUrl);
-                    previewImageUrl = null;
-                }
-                previewPanel.remove();
-                previewPanel = null;
-            });
+    /**
+     * Collect schema.org objects from JSON-LD scripts, flattening @graph and arrays
+     */
+    function getJsonLdObjects() {
+        const objects = [];
+        const visit = (value) => {
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value && typeof value === 'object') {
+                objects.push(value);
+                if (value['@graph']) visit(value['@graph']);
+            }
+        };
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                visit(JSON.parse(script.textContent));
+            } catch (error) {
+                // Ignore malformed JSON-LD blocks
+            }
+        });
+        return objects;
+    }
 
-            const copyButton = previewPanel.querySelector('.mdcp-preview-copy');
-            copyButton.addEventListener('click', async (event) => {
-                if (previewState.activeTab === 'links') {
-                    const links = extractLinksFromMarkdown(previewState.markdown).filter(link => link.trim() !== '');
-                    if (links.length > 0) {
-                        await copyToClipboard(links.join('\n'), '✓ 추출된 링크가 클립보드에 복사되었습니다!', event);
-                    } else {
-                        showToast('추출된 링크가 없습니다.', event);
-                    }
-                    return;
-                }
+    function getJsonLdName(value) {
+        if (!value) return '';
+        if (typeof value === 'string') return value.trim();
+        if (Array.isArray(value)) return value.map(getJsonLdName).filter(Boolean).join(', ');
+        return typeof value.name === 'string' ? value.name.trim() : '';
+    }
 
-                if (previewState.activeTab === 'videos') {
-                    const videoLinks = extractYouTubeWatchLinks(previewState.markdown);
-                    if (videoLinks.length > 0) {
-                        await copyToClipboard(videoLinks.join('\n'), '✓ 영상 링크가 클립보드에 복사되었습니다!', event);
-                    } else {
-                        showToast('영상 링크가 없습니다.', event);
-                    }
-                    return;
-                }
+    /**
+     * Gather page metadata from OpenGraph, JSON-LD and meta tags (YouTube uses its own fields)
+     */
+    function collectPageMetadata() {
+        if (isYouTubeWatchPage()) {
+            const youtube = getYouTubeMetadataFields();
+            return {
+                title: youtube.title || '',
+                url: youtube.url ? new URL(youtube.url, window.location.href).href : window.location.href,
+                author: youtube.channel || '',
+                published: youtube.publishedDate || '',
+                siteName: 'YouTube'
+            };
+        }
 
-                if (previewState.activeTab === 'captions') {
-                    if (previewState.captions) {
-                        await copyToClipboard(previewState.captions, '✓ 자막이 클립보드에 복사되었습니다!', event);
-                    } else {
-                        showToast('자막을 선택하세요.', event);
-                    }
-                    return;
-                }
+        const jsonLd = getJsonLdObjects();
+        const article = jsonLd.find(item => item.headline || item.datePublished || item.author) || {};
+        const website = jsonLd.find(item => item['@type'] === 'WebSite') || {};
 
-                await copyToClipboard(previewState.markdown, null, event);
-            });
+        const canonical = document.querySelector('link[rel="canonical"]')?.href;
+        const title =
+            getMetaContent(['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+            (typeof article.headline === 'string' ? article.headline.trim() : '') ||
+            document.title.trim();
+        const author =
+            getMetaContent(['meta[name="author"]', 'meta[property="article:author"]', 'meta[name="byl"]']) ||
+            getJsonLdName(article.author) ||
+            document.querySelector('[rel="author"]')?.textContent?.trim() ||
+            '';
+        const published =
+            getMetaContent([
+                'meta[property="article:published_time"]',
+                'meta[name="date"]',
+                'meta[name="pubdate"]',
+                'meta[name="publishdate"]',
+                'meta[name="dc.date"]',
+                'meta[name="DC.date.issued"]',
+                'meta[itemprop="datePublished"]'
+            ]) ||
+            article.datePublished ||
+            document.querySelector('time[datetime]')?.getAttribute('datetime') ||
+            '';
+        const siteName =
+            getMetaContent(['meta[property="og:site_name"]', 'meta[name="application-name"]']) ||
+            getJsonLdName(article.publisher) ||
+            getJsonLdName(website) ||
+            window.location.hostname;
+
+        return {
+            title,
+            url: canonical || getMetaContent(['meta[property="og:url"]']) || window.location.href,
+            author,
+            published: String(published),
+            siteName
+        };
+    }
 
-            const tabs = previewPanel.querySelectorAll('.mdcp-preview-tab');
-            tabs.forEach(tab => {
-                tab.addEventListener('click', () => {
-                    const target = tab.getAttribute('data-tab');
-                    setPreviewTab(target);
-                });
-            });
+    /**
+     * Prepend a YAML front matter block when enabled in settings
+     */
+    function addFrontMatter(markdown, elementCount = 1) {
+        const config = settings.frontMatter;
+        if (!config.enabled) return markdown;
+
+        const metadata = collectPageMetadata();
+        const fields = [
+            ['title', 'title', metadata.title],
+            ['url', 'url', metadata.url],
+            ['author', 'author', metadata.author],
+            ['published', 'published', metadata.published],
+            ['siteName', 'site', metadata.siteName],
+            ['capturedAt', 'captured_at', new Date().toISOString()],
+            ['elementCount', 'elements', elementCount]
+        ];
 
-            const textarea = previewPanel.querySelector('.mdcp-preview-textarea');
-            textarea.addEventListener('input', () => {
-                previewState.markdown = textarea.value;
-                updatePreviewContent();
-            });
+        const lines = fields
+            .filter(([key, , value]) => config.fields[key] && value !== '' && value !== null && value !== undefined)
+            // JSON strings are valid YAML double-quoted scalars
+            .map(([, name, value]) => `${name}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`);
 
-            const captionsContainer = previewPanel.querySelector('[data-pane="captions"] .mdcp-preview-captions');
-            if (captionsContainer) {
-                captionsContainer.addEventListener('click', async (event) => {
-                    const button = event.target.closest('button[data-caption-index]');
-                    if (!button) return;
-                    const index = Number(button.getAttribute('data-caption-index'));
-                    const track = previewState.captionTracks[index];
-                    if (!track) return;
+        if (lines.length === 0) return markdown;
+        return `---\n${lines.join('\n')}\n---\n\n${markdown}`;
+    }
 
-                    try {
-                        showToast('자막 불러오는 중...', button);
-                        const result = await fetchCaptionFromTrack(track);
-                        if (!result || !result.text) {
-                            showToast('자막을 찾지 못했습니다.', button);
-                            return;
-                        }
-                        previewState.captions = result.text;
-                        previewState.captionsMeta = result.meta;
-                        await copyToClipboard(result.text, '✓ 자막이 클립보드에 복사되었습니다!', button);
-                        updatePreviewContent();
-                    } catch (error) {
-                        console.error('Failed to fetch captions:', error);
-                        showToast('✗ 자막을 가져오지 못했습니다.', button);
-                    }
-                });
-            }
-        }
+    function stripFrontMatter(markdown) {
+        // Only key: value lines, so a leading horizontal rule isn't mistaken for front matter
+        return String(markdown).replace(/^---\n(?:[\w-]+: .*\n)+---(?:\n+|$)/, '');
+    }
 
-        const titleEl = previewPanel.querySelector('.mdcp-preview-title');
-        if (titleEl) {
-            titleEl.textContent = 'Markdown 미리보기';
-        }
+    /**
+     * Convert all relative links to absolute links in an element
+     */
+    function makeLinksAbsolute(element) {
+        // Convert <a> href
+        element.querySelectorAll('a[href]').forEach(a => {
+            // a.href returns the absolute URL in the browser
+            const absoluteHref = a.href;
+            if (absoluteHref) {
+                a.setAttribute('href', absoluteHref);
+            }
+        });
 
-        updatePreviewContent();
-        setPreviewTab(previewState.activeTab || 'render');
+        // Convert <img> src
+        element.querySelectorAll('img[src]').forEach(img => {
+            // img.src returns the absolute URL in the browser
+            const absoluteSrc = img.src;
+            if (absoluteSrc) {
+                img.setAttribute('src', absoluteSrc);
+            }
+        });
     }
 
-    function showImagePreviewPanel(blob, label = '이미지 미리보기') {
-        if (previewImageUrl) {
-            URL.revokeObjectURL(previewImageUrl);
-            previewImageUrl = null;
-        }
-        previewImageUrl = URL.createObjectURL(blob);
+    // Query parameters that only track where a click came from
+    const TRACKING_PARAM_PATTERN = /^(?:utm_\w+|fbclid|gclid|gclsrc|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|oly_anon_id|oly_enc_id|vero_id|_ga|_gl)$/i;
 
-        if (!previewPanel) {
-            showPreviewPanel('');
-        }
+    // Redirect wrappers and the query parameter that holds the real target
+    const REDIRECT_WRAPPERS = [
+        { host: /^(?:www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ['q', 'url'] },
+        { host: /^(?:l|lm)\.facebook\.com$/, path: /^\/l\.php$/, params: ['u'] },
+        { host: /^l\.instagram\.com$/, path: /^\/$/, params: ['u'] },
+        { host: /^slack-redir\.net$/, path: /^\/link$/, params: ['url'] },
+        { host: /^(?:www\.)?youtube\.com$/, path: /^\/redirect$/, params: ['q'] }
+    ];
 
-        const titleEl = previewPanel.querySelector('.mdcp-preview-title');
-        if (titleEl) {
-            titleEl.textContent = label;
+    /**
+     * Return the target of a known redirect wrapper URL, or the URL itself
+     */
+    function unwrapRedirectUrl(href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch (error) {
+            return href;
         }
-
-        const renderPane = previewPanel.querySelector('[data-pane="render"]');
-        renderPane.innerHTML = `<div class="mdcp-preview-image-wrap"><img src="${previewImageUrl}" alt="전체 페이지 캡처"></div>`;
-        setPreviewTab('render');
+        // Wrappers can be nested (e.g. a Google result pointing at a Facebook link)
+        for (let depth = 0; depth < 3; depth++) {
+            const wrapper = REDIRECT_WRAPPERS.find(item => item.host.test(url.hostname) && item.path.test(url.pathname));
+            const target = wrapper && wrapper.params.map(name => url.searchParams.get(name)).find(Boolean);
+            if (!target || !/^https?:\/\//i.test(target)) break;
+            try {
+                url = new URL(target);
+            } catch (error) {
+                break;
+            }
+        }
+        return url.href;
     }
 
-    function setPreviewTab(tabName) {
-        if (tabName === 'captions' && !previewState.captions && !isYouTubeWatchPage()) {
-            tabName = 'render';
+    function stripTrackingParams(href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch (error) {
+            return href;
         }
-        previewState.activeTab = tabName;
-        const tabs = previewPanel.querySelectorAll('.mdcp-preview-tab');
-        const panes = previewPanel.querySelectorAll('.mdcp-preview-pane');
+        if (!/^https?:$/.test(url.protocol)) return href;
+        const tracked = Array.from(url.searchParams.keys()).filter(name => TRACKING_PARAM_PATTERN.test(name));
+        if (tracked.length === 0) return href;
+        tracked.forEach(name => url.searchParams.delete(name));
+        return url.href;
+    }
 
-        tabs.forEach(tab => {
-            tab.classList.toggle('active', tab.getAttribute('data-tab') === tabName);
+    /**
+     * Anchor slug GitHub-style renderers give a heading: lowercase, punctuation dropped,
+     * spaces turned into hyphens and "-1", "-2" appended to repeats
+     */
+    // Text of permalink icons that sites put inside headings, or none for icon-only links
+    const HEADING_PERMALINK_TEXT = /^[¶#§🔗]?$/u;
+
+    function getHeadingSlug(text, usedSlugs) {
+        const base = text.trim().replace(/\s+/g, ' ').toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+            .replace(/ /g, '-');
+        const count = usedSlugs.get(base) || 0;
+        usedSlugs.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+    }
+
+    /**
+     * With settings.links.anchors set to 'local', point links to headings inside the copied
+     * clones at the heading's Markdown slug. Takes every clone of one copy, in order, after
+     * prepareClone() so removed headings are gone and repeated headings get the same
+     * "-1", "-2" suffixes as in the combined Markdown. Links to anything else keep their
+     * absolute URL.
+     */
+    function localizeFragmentLinks(elements) {
+        if (settings.links.anchors !== 'local') return;
+
+        const slugs = new Map();
+        const usedSlugs = new Map();
+        elements.forEach(element => {
+            const headings = Array.from(element.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+            if (/^H[1-6]$/.test(element.tagName)) headings.unshift(element);
+            headings.forEach(heading => {
+                // Permalink icons would end up in the Markdown heading and its slug ("install-")
+                heading.querySelectorAll('a[href*="#"]').forEach(link => {
+                    if (getSamePageFragment(link.getAttribute('href')) && HEADING_PERMALINK_TEXT.test(link.textContent.trim())) {
+                        link.remove();
+                    }
+                });
+                slugs.set(heading, getHeadingSlug(heading.textContent, usedSlugs));
+            });
         });
+        if (slugs.size === 0) return;
 
-        panes.forEach(pane => {
-            pane.classList.toggle('mdcp-preview-pane-hidden', pane.getAttribute('data-pane') !== tabName);
+        const findTarget = (id) => {
+            const selector = `[id="${CSS.escape(id)}"], a[name="${CSS.escape(id)}"]`;
+            for (const element of elements) {
+                const target = element.matches(selector) ? element : element.querySelector(selector);
+                if (target) return target;
+            }
+            return null;
+        };
+
+        const findHeading = (target) => {
+            if (/^H[1-6]$/.test(target.tagName)) return target;
+            // Anchors inside a heading or sections that start with one
+            const parentHeading = target.closest('h1, h2, h3, h4, h5, h6');
+            if (parentHeading && slugs.has(parentHeading)) return parentHeading;
+            const firstChild = target.firstElementChild;
+            if (firstChild && /^H[1-6]$/.test(firstChild.tagName)) return firstChild;
+            const next = target.nextElementSibling;
+            if (!target.textContent.trim() && next && /^H[1-6]$/.test(next.tagName)) return next;
+            return null;
+        };
+
+        elements.forEach(element => {
+            element.querySelectorAll('a[href*="#"]').forEach(link => {
+                const id = getSamePageFragment(link.getAttribute('href'));
+                if (!id) return;
+                const target = findTarget(id);
+                const heading = target && findHeading(target);
+                const slug = heading && slugs.get(heading);
+                if (slug) {
+                    link.setAttribute('href', `#${slug}`);
+                }
+            });
         });
     }
 
-    function updatePreviewContent() {
-        if (!previewPanel) return;
+    /**
+     * Make links absolute and apply the link settings: redirect unwrapping and tracking
+     * parameter removal. Local heading anchors are applied later by localizeFragmentLinks().
+     */
+    function rewriteLinks(element, config = settings.links) {
+        makeLinksAbsolute(element);
+
+        if (config.unwrapRedirects || config.stripTracking) {
+            element.querySelectorAll('a[href]').forEach(link => {
+                let href = link.getAttribute('href');
+                if (config.unwrapRedirects) href = unwrapRedirectUrl(href);
+                if (config.stripTracking) href = stripTrackingParams(href);
+                link.setAttribute('href', href);
+            });
+        }
+    }
 
-        const renderPane = previewPanel.querySelector('[data-pane="render"]');
-        const textarea = previewPanel.querySelector('.mdcp-preview-textarea');
-        const linksContainer = previewPanel.querySelector('[data-pane="links"] .mdcp-preview-links');
-        const videosContainer = previewPanel.querySelector('[data-pane="videos"] .mdcp-preview-videos');
-        const captionsContainer = previewPanel.querySelector('[data-pane="captions"] .mdcp-preview-captions');
-        const captionsTab = previewPanel.querySelector('.mdcp-preview-tab-captions');
+    /**
+     * Fetch an image through the background worker and return it as a data URL
+     */
+    async function fetchImageAsDataUrl(url, maxBytes = INLINE_IMAGE_MAX_BYTES) {
+        const response = await chrome.runtime.sendMessage({ type: 'mdcp-fetch-image', url, maxBytes });
+        if (!response || response.error || !response.dataUrl) {
+            throw new Error(response?.error || 'Empty image response');
+        }
+        return response.dataUrl;
+    }
 
-        if (textarea.value !== previewState.markdown) {
-            textarea.value = previewState.markdown;
+    /**
+     * Replace remote image sources in an element with embedded data URIs.
+     * Images that fail to load or exceed the size cap keep their original URL.
+     */
+    async function inlineImages(element, anchor = null) {
+        const images = Array.from(element.querySelectorAll('img[src]'))
+            .filter(img => /^https?:/i.test(img.getAttribute('src')));
+        const urls = Array.from(new Set(images.map(img => img.getAttribute('src'))));
+        if (urls.length === 0) return { inlined: 0, failed: 0 };
+
+        const progress = urls.length >= INLINE_IMAGE_PROGRESS_THRESHOLD
+            ? showProgressToast(`이미지 내장 중... (0/${urls.length})`, anchor)
+            : null;
+        const dataUrls = new Map();
+        let nextIndex = 0;
+        let doneCount = 0;
+
+        const worker = async () => {
+            while (nextIndex < urls.length) {
+                const url = urls[nextIndex++];
+                try {
+                    dataUrls.set(url, await fetchImageAsDataUrl(url));
+                } catch (error) {
+                    console.warn('Failed to inline image, keeping original URL:', url, error);
+                }
+                doneCount += 1;
+                if (progress) {
+                    progress.update(`이미지 내장 중... (${doneCount}/${urls.length})`);
+                }
+            }
+        };
+
+        try {
+            const workerCount = Math.min(INLINE_IMAGE_CONCURRENCY, urls.length);
+            await Promise.all(Array.from({ length: workerCount }, worker));
+        } finally {
+            if (progress) progress.close();
         }
-        renderPane.innerHTML = markdownToHtml(previewState.markdown);
 
-        const links = extractLinksFromMarkdown(previewState.markdown).filter(link => link.trim() !== '');
-        if (linksContainer) {
-            if (links.length === 0) {
-                linksContainer.innerHTML = '<div class="mdcp-preview-empty">링크가 없습니다.</div>';
+        let inlined = 0;
+        let failed = 0;
+        images.forEach(img => {
+            const dataUrl = dataUrls.get(img.getAttribute('src'));
+            if (dataUrl) {
+                img.setAttribute('src', dataUrl);
+                img.removeAttribute('srcset');
+                inlined += 1;
             } else {
-                linksContainer.innerHTML = links.map(link => (
-                    `<div class="mdcp-preview-link"><a href="${link}" target="_blank" rel="noopener noreferrer">${link}</a></div>`
-                )).join('');
+                failed += 1;
             }
-        }
+        });
+        return { inlined, failed };
+    }
 
-        if (videosContainer) {
-            const videoLinks = extractYouTubeWatchLinks(previewState.markdown);
-            if (videoLinks.length === 0) {
-                videosContainer.innerHTML = '<div class="mdcp-preview-empty">영상 링크가 없습니다.</div>';
-            } else {
-                videosContainer.innerHTML = videoLinks.map(link => (
-                    `<div class="mdcp-preview-link"><a href="${link}" target="_blank" rel="noopener noreferrer">${link}</a></div>`
-                )).join('');
+    function getCrc32Table() {
+        if (crc32Table) return crc32Table;
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
             }
+            crc32Table[n] = c >>> 0;
         }
+        return crc32Table;
+    }
 
-        if (captionsTab) {
-            const shouldShowCaptions = isYouTubeWatchPage() || !!previewState.captions || (previewState.captionTracks && previewState.captionTracks.length > 0);
-            captionsTab.classList.toggle('mdcp-hidden', !shouldShowCaptions);
+    function crc32(bytes) {
+        const table = getCrc32Table();
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
         }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
 
-        if (captionsContainer) {
-            if (!isYouTubeWatchPage()) {
-                captionsContainer.innerHTML = '<div class="mdcp-preview-empty">유튜브 영상 페이지에서만 자막을 표시합니다.</div>';
-            } else if (previewState.captionTracks && previewState.captionTracks.length > 0 && !previewState.captions) {
-                const items = previewState.captionTracks.map((track, index) => {
-                    const label = track.name?.simpleText || track.languageCode || `자막 ${index + 1}`;
-                    const hasAutoLabel = /자동\s*생성/.test(label);
-                    const badge = track.kind === 'asr' && !hasAutoLabel ? ' (자동 생성)' : '';
-                    return `<button class="mdcp-caption-item" data-caption-index="${index}">${escapeHtml(label)}${badge}</button>`;
-                }).join('');
-                captionsContainer.innerHTML = `
-                    <div class="mdcp-preview-caption-help">복사할 자막을 선택하세요.</div>
-                    <div class="mdcp-preview-caption-list">${items}</div>
-                `;
-            } else if (!previewState.captions) {
-                captionsContainer.innerHTML = '<div class="mdcp-preview-empty">자막이 없습니다.</div>';
-            } else {
-                const meta = previewState.captionsMeta;
-                const metaLine = meta
-                    ? `<div class="mdcp-preview-caption-meta">${meta.languageName || meta.languageCode || '자막'}${meta.isAutoGenerated ? ' (자동 생성)' : ''}</div>`
-                    : '';
-                const escaped = escapeHtml(previewState.captions);
-                captionsContainer.innerHTML = `${metaLine}<pre class="mdcp-preview-caption-text">${escaped}</pre>`;
+    /**
+     * Build a ZIP archive (stored, uncompressed entries) from { name, data } files
+     */
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(local, nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint16(30, 0, true);
+            central.setUint16(32, 0, true);
+            central.setUint16(34, 0, true);
+            central.setUint16(36, 0, true);
+            central.setUint32(38, 0, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central, nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    function dataUrlToBytes(dataUrl) {
+        const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl);
+        if (!match) return null;
+        const mime = match[1] || 'application/octet-stream';
+        if (match[2]) {
+            const binary = atob(match[3]);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
             }
+            return { mime, bytes };
         }
+        return { mime, bytes: new TextEncoder().encode(decodeURIComponent(match[3])) };
+    }
+
+    function getImageExtension(mime, url) {
+        const byMime = {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/svg+xml': 'svg',
+            'image/avif': 'avif',
+            'image/bmp': 'bmp',
+            'image/x-icon': 'ico'
+        };
+        if (byMime[mime]) return byMime[mime];
+        const fromUrl = /\.([a-z0-9]{2,5})(?:[?#]|$)/i.exec(url || '');
+        return fromUrl ? fromUrl[1].toLowerCase() : 'bin';
+    }
+
+    function getDownloadBaseName(title = document.title) {
+        const base = (title || window.location.hostname || 'markdown')
+            .replace(/[\\/:*?"<>|]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 80);
+        return base || 'markdown';
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     /**
-     * Get all fixed or sticky elements, traversing Shadow DOM recursively
+     * Package Markdown as index.md plus an assets/ folder with downloaded images
      */
-    function getFixedElements(root) {
-        const fixedElements = [];
-        // Use try-catch to avoid issues with closed shadow roots or access denial
-        try {
-            const allElements = root.querySelectorAll('*');
-            for (const el of allElements) {
-                const style = window.getComputedStyle(el);
-                if (style.position === 'fixed' || style.position === 'sticky') {
-                    fixedElements.push(el);
-                }
+    async function exportMarkdownAsZip(markdown, anchor = null) {
+        // Destinations may be <...> or contain balanced parentheses (Wikipedia's File:Foo_(bar).png)
+        const imageRefRegex = /(!\[[^\]]*\]\()(<[^>\n]*>|(?:[^\s()]|\([^\s()]*\))+)((?:\s+"[^"]*")?\))/g;
+        const htmlImageRegex = /(<img\b[^>]*?\ssrc=")([^"]+)(")/gi;
+        const unwrapDestination = (url) => url.replace(/^<([\s\S]*)>$/, '$1');
+
+        const urls = [];
+        const collect = (url) => {
+            if (/^(https?:|data:image\/)/i.test(url) && !urls.includes(url)) {
+                urls.push(url);
+            }
+        };
+        let match;
+        while ((match = imageRefRegex.exec(markdown)) !== null) collect(unwrapDestination(match[2]));
+        while ((match = htmlImageRegex.exec(markdown)) !== null) collect(match[2]);
 
-                if (el.shadowRoot) {
-                    fixedElements.push(...getFixedElements(el.shadowRoot));
+        const progress = showProgressToast(`ZIP 생성 중... (0/${urls.length})`, anchor);
+        const assets = new Map();
+        const files = [];
+        let failed = 0;
+
+        try {
+            for (let i = 0; i < urls.length; i++) {
+                const url = urls[i];
+                try {
+                    const dataUrl = url.startsWith('data:') ? url : await fetchImageAsDataUrl(url, ZIP_IMAGE_MAX_BYTES);
+                    const decoded = dataUrlToBytes(dataUrl);
+                    if (!decoded) throw new Error('Invalid data URL');
+                    const name = `assets/image-${String(assets.size + 1).padStart(3, '0')}.${getImageExtension(decoded.mime, url)}`;
+                    assets.set(url, name);
+                    files.push({ name, data: decoded.bytes });
+                } catch (error) {
+                    failed += 1;
+                    console.warn('Failed to download image for ZIP, keeping original URL:', url, error);
                 }
+                progress.update(`ZIP 생성 중... (${i + 1}/${urls.length})`);
             }
-        } catch (e) {
-            console.warn('Error finding fixed elements:', e);
+
+            const rewrite = (full, prefix, url, suffix) => {
+                const target = unwrapDestination(url);
+                return assets.has(target) ? `${prefix}${assets.get(target)}${suffix}` : full;
+            };
+            const rewritten = markdown
+                .replace(imageRefRegex, rewrite)
+                .replace(htmlImageRegex, rewrite);
+
+            files.unshift({ name: 'index.md', data: rewritten });
+            downloadBlob(buildZip(files), `${getDownloadBaseName()}.zip`);
+        } catch (error) {
+            console.error('Failed to export ZIP:', error);
+            showToast('✗ ZIP 내보내기에 실패했습니다.', anchor);
+            return false;
+        } finally {
+            progress.close();
         }
-        return fixedElements;
+
+        showToast(failed > 0
+            ? `✓ ZIP 저장 완료 (이미지 ${failed}개는 원본 링크 유지)`
+            : '✓ ZIP 파일이 저장되었습니다!', anchor);
+        return true;
     }
 
+    const LAZY_IMAGE_ATTRIBUTES = ['data-src', 'data-original', 'data-lazy-src', 'data-url', 'data-hi-res-src'];
+    const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset', 'srcset'];
+    const SUPPORTED_IMAGE_TYPES = /^image\/(?:jpeg|jpg|png|gif|webp|avif|svg\+xml|bmp|x-icon)$/i;
+
     /**
-     * Capture a specific area of the document using native API
+     * Placeholder files lazy loaders put in src until the real image loads (spacer.gif,
+     * lazy-placeholder.png, inline GIF/SVG). Only used to pick a lazy attribute over src.
      */
-    async function captureArea(x, y, width, height, options = {}) {
+    function isPlaceholderSrc(src) {
+        return !src || /^data:image\/(?:gif|svg\+xml)/i.test(src) ||
+            /\/(?:spacer|blank|placeholder|transparent|lazy)(?:[-_.]\w+)?\.(?:gif|png|svg)(?:[?#]|$)/i.test(src);
+    }
+
+    /**
+     * Parse a srcset into { url, width, density } candidates.
+     * URLs may contain commas (image CDNs), so candidates are split the way browsers do:
+     * the URL runs to the first whitespace and the descriptor to the next comma.
+     */
+    function parseSrcset(srcset) {
+        const candidates = [];
+        const value = srcset || '';
+        let index = 0;
+        while (index < value.length) {
+            while (index < value.length && /[\s,]/.test(value[index])) index++;
+            if (index >= value.length) break;
+
+            let start = index;
+            while (index < value.length && !/\s/.test(value[index])) index++;
+            let url = value.slice(start, index);
+            let descriptor = '';
+            if (url.endsWith(',')) {
+                url = url.replace(/,+$/, '');
+            } else {
+                start = index;
+                while (index < value.length && value[index] !== ',') index++;
+                descriptor = value.slice(start, index).trim();
+            }
+            if (!url) continue;
+
+            const match = /^(\d+(?:\.\d+)?)([wx])$/i.exec(descriptor);
+            const unit = match ? match[2].toLowerCase() : '';
+            candidates.push({
+                url,
+                width: unit === 'w' ? Number(match[1]) : 0,
+                density: unit === 'x' ? Number(match[1]) : 1
+            });
+        }
+        return candidates;
+    }
+
+    function mediaMatches(media) {
+        if (!media) return true;
         try {
-            const viewportWidth = window.innerWidth;
-            const viewportHeight = window.innerHeight;
-            const ratio = window.devicePixelRatio || 1;
+            return window.matchMedia(media).matches;
+        } catch (error) {
+            return false;
+        }
+    }
 
-            const originalScroll = { x: window.scrollX, y: window.scrollY };
+    /**
+     * Slot width in CSS pixels from a sizes attribute ("(max-width: 600px) 100vw, 50vw")
+     */
+    function getSizesWidth(sizes) {
+        const toPixels = (length) => {
+            const match = /^(\d+(?:\.\d+)?)(px|vw|em|rem)$/i.exec(length.trim());
+            if (!match) return 0;
+            const number = Number(match[1]);
+            const unit = match[2].toLowerCase();
+            if (unit === 'vw') return number * window.innerWidth / 100;
+            if (unit === 'em' || unit === 'rem') return number * 16;
+            return number;
+        };
+        for (const entry of (sizes || '').split(',')) {
+            const trimmed = entry.trim();
+            if (!trimmed) continue;
+            const split = trimmed.lastIndexOf(' ');
+            const media = split > 0 ? trimmed.slice(0, split) : '';
+            const length = split > 0 ? trimmed.slice(split + 1) : trimmed;
+            if (mediaMatches(media)) {
+                const width = toPixels(length);
+                if (width > 0) return width;
+            }
+        }
+        return window.innerWidth || 1;
+    }
 
-            // Hide fixed/sticky elements to avoid duplication during stitching
-            const fixedElements = [];
-            if (options.hideFixed !== false) {
-                const found = getFixedElements(document.body);
-                for (const el of found) {
-                    fixedElements.push(el);
-                    el.dataset.mdcpHidden = '1';
-                    el.style.visibility = 'hidden';
-                }
+    /**
+     * Pick the highest-density candidate; width descriptors are turned into densities
+     * with the slot width from sizes, so the widest image wins among them
+     */
+    function pickSrcsetCandidate(candidates, sizes) {
+        if (candidates.length === 0) return '';
+        const slotWidth = getSizesWidth(sizes);
+        const scored = candidates.map(candidate => ({
+            ...candidate,
+            score: candidate.width ? candidate.width / slotWidth : candidate.density
+        }));
+        scored.sort((a, b) => b.score - a.score || b.width - a.width);
+        return scored[0].url;
+    }
+
+    /**
+     * Best URL for an image: the first matching <picture> source, then the image's own
+     * srcset, then lazy-loading attributes, then src unless it is a placeholder
+     */
+    function resolveImageSource(img) {
+        const srcsets = [];
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (picture) {
+            const source = Array.from(picture.querySelectorAll('source')).find(candidate => {
+                const type = candidate.getAttribute('type');
+                return (candidate.getAttribute('srcset') || candidate.getAttribute('data-srcset')) &&
+                    (!type || SUPPORTED_IMAGE_TYPES.test(type)) &&
+                    mediaMatches(candidate.getAttribute('media'));
+            });
+            if (source) {
+                srcsets.push([source.getAttribute('srcset') || source.getAttribute('data-srcset'), source.getAttribute('sizes')]);
             }
+        }
+        LAZY_SRCSET_ATTRIBUTES.forEach(name => {
+            if (img.getAttribute(name)) srcsets.push([img.getAttribute(name), img.getAttribute('data-sizes') || img.getAttribute('sizes')]);
+        });
 
-            const canvas = document.createElement('canvas');
-            canvas.width = Math.round(width * ratio);
-            canvas.height = Math.round(height * ratio);
-            const ctx = canvas.getContext('2d');
+        for (const [srcset, sizes] of srcsets) {
+            const candidates = parseSrcset(srcset).filter(candidate => !isPlaceholderSrc(candidate.url));
+            const best = pickSrcsetCandidate(candidates, sizes);
+            if (best) return best;
+        }
 
-            const maxX = x + width;
-            const maxY = y + height;
+        const lazySrc = LAZY_IMAGE_ATTRIBUTES.map(name => img.getAttribute(name)).find(value => value && !isPlaceholderSrc(value));
+        if (lazySrc) return lazySrc;
 
-            // Loop through the area in viewport-sized chunks
-            for (let cy = y; cy < maxY; cy += viewportHeight) {
-                for (let cx = x; cx < maxX; cx += viewportWidth) {
-                    window.scrollTo(cx, cy);
-                    // Wait for render/scroll transparency to settle
-                    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
-                    await new Promise(resolve => setTimeout(resolve, 250)); // Wait for lazy load/render
+        // Without a replacement the src is the image, even when it looks like a placeholder
+        return img.getAttribute('src') || '';
+    }
 
-                    const scrollX = window.scrollX;
-                    const scrollY = window.scrollY;
+    /**
+     * <noscript> fallbacks hold the real <img> of many lazy loaders; with scripting on
+     * their content is plain text, so parse it and drop the placeholder image it replaces
+     */
+    function unwrapNoscriptImages(element) {
+        element.querySelectorAll('noscript').forEach(noscript => {
+            const template = document.createElement('template');
+            template.innerHTML = noscript.textContent || noscript.innerHTML;
+            const images = template.content.querySelectorAll('img');
+            if (images.length === 0) return;
+
+            const previous = noscript.previousElementSibling;
+            if (previous && previous.tagName === 'IMG') {
+                previous.remove();
+            }
+            noscript.replaceWith(...images);
+        });
+    }
 
-                    const response = await chrome.runtime.sendMessage({ type: 'mdcp-capture-visible' });
-                    if (!response || response.error || !response.dataUrl) {
-                        console.warn('Capture failed for chunk:', response?.error);
-                        continue;
-                    }
+    /**
+     * Resolve responsive and lazy-loaded images in a clone to a single best src,
+     * fill in missing alt text and drop 1x1 tracking pixels and images without any source
+     */
+    function resolveImages(element) {
+        unwrapNoscriptImages(element);
+
+        element.querySelectorAll('img').forEach(img => {
+            const src = resolveImageSource(img);
+            const isPixel = img.getAttribute('width') === '1' && img.getAttribute('height') === '1';
+            if (!src || isPixel) {
+                img.remove();
+                return;
+            }
+            img.setAttribute('src', src);
+            ['srcset', 'sizes', 'data-srcset'].forEach(name => img.removeAttribute(name));
+            if (!img.getAttribute('alt')) {
+                const caption = img.closest('figure')?.querySelector('figcaption')?.textContent.replace(/\s+/g, ' ').trim();
+                const fallback = caption || img.getAttribute('title');
+                if (fallback) img.setAttribute('alt', fallback);
+            }
+        });
 
-                    const img = new Image();
-                    img.src = response.dataUrl;
-                    await new Promise((resolve) => {
-                        img.onload = resolve;
-                        img.onerror = resolve; // Continue even if image load fails
-                    });
+        // Only the chosen <img> matters once sources are resolved
+        element.querySelectorAll('picture source').forEach(source => source.remove());
+    }
 
-                    // Calculate overlap between Viewport and Target Rect
-                    const visibleX = Math.max(x, scrollX);
-                    const visibleY = Math.max(y, scrollY);
-                    const visibleRight = Math.min(maxX, scrollX + viewportWidth);
-                    const visibleBottom = Math.min(maxY, scrollY + viewportHeight);
+    function hasComposedContent(element) {
+        if (element.shadowRoot || element.tagName === 'IFRAME') return true;
+        for (const el of element.querySelectorAll('*')) {
+            if (el.shadowRoot || el.tagName === 'IFRAME' || el.tagName === 'FRAME') return true;
+        }
+        return false;
+    }
 
-                    const visibleW = visibleRight - visibleX;
-                    const visibleH = visibleBottom - visibleY;
+    function cloneComposedChildren(parent, target) {
+        parent.childNodes.forEach(child => {
+            const copy = cloneComposedNode(child);
+            if (copy) target.appendChild(copy);
+        });
+    }
 
-                    if (visibleW > 0 && visibleH > 0) {
-                        // Source (relative to viewport/image)
-                        const sx = visibleX - scrollX;
-                        const sy = visibleY - scrollY;
+    /**
+     * Inline the body of a same-origin frame; cross-origin frames return null
+     */
+    function cloneFrameDocument(frame) {
+        let frameDocument = null;
+        try {
+            frameDocument = frame.contentDocument;
+        } catch (error) {
+            return null;
+        }
+        if (!frameDocument || !frameDocument.body) return null;
 
-                        // Destination (relative to canvas)
-                        const dx = visibleX - x;
-                        const dy = visibleY - y;
+        // Built in the frame's document so relative URLs resolve against the frame
+        const container = frameDocument.createElement('div');
+        cloneComposedChildren(frameDocument.body, container);
+        makeLinksAbsolute(container);
+        return container;
+    }
 
-                        ctx.drawImage(
-                            img,
-                            sx * ratio, sy * ratio, visibleW * ratio, visibleH * ratio,
-                            dx * ratio, dy * ratio, visibleW * ratio, visibleH * ratio
-                        );
-                    }
-                }
+    function cloneComposedNode(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return node.cloneNode(false);
+        }
+
+        const tag = node.tagName.toUpperCase();
+        if (tag === 'IFRAME' || tag === 'FRAME') {
+            return cloneFrameDocument(node) || node.cloneNode(false);
+        }
+        if (tag === 'SLOT') {
+            // Slotted light DOM children take the slot's place; otherwise its fallback content
+            const fragment = document.createDocumentFragment();
+            const assigned = typeof node.assignedNodes === 'function' ? node.assignedNodes({ flatten: true }) : [];
+            if (assigned.length > 0) {
+                assigned.forEach(child => fragment.appendChild(cloneComposedNode(child)));
+            } else {
+                cloneComposedChildren(node, fragment);
             }
+            return fragment;
+        }
+        if (tag === 'TEMPLATE' || tag === 'SVG' || tag === 'MATH') {
+            return node.cloneNode(true);
+        }
 
-            // Restore state
-            fixedElements.forEach(el => {
-                if (el.dataset.mdcpHidden === '1') {
-                    el.style.visibility = '';
-                    delete el.dataset.mdcpHidden;
-                }
-            });
-            window.scrollTo(originalScroll.x, originalScroll.y);
+        const copy = node.cloneNode(false);
+        // An open shadow root replaces the light DOM children, which only show up through slots
+        cloneComposedChildren(node.shadowRoot || node, copy);
+        return copy;
+    }
 
-            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-            return blob;
-        } catch (error) {
-            console.error('Capture Area failed:', error);
-            return null;
+    /**
+     * Clone an element with open shadow roots flattened into plain DOM and same-origin
+     * iframe documents inlined; cloneNode(true) drops both
+     */
+    function cloneComposedTree(element) {
+        if (!hasComposedContent(element)) {
+            return element.cloneNode(true);
         }
+        return cloneComposedNode(element);
     }
 
-    async function copyMultipleElementsAsImage(elements) {
-        try {
-            showToast('이미지 생성 중...', floatingButton);
+    /**
+     * Clone an element and clean it up for conversion: site rules, code blocks, math,
+     * rewritten links, optional boilerplate removal and inlined images
+     */
+    async function prepareClone(element, options = {}) {
+        // Clone the element to avoid modifying the original
+        const clonedElement = cloneComposedTree(element);
 
-            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        // Site-specific cleanup before anything else looks at the content
+        applySiteRulesToClone(clonedElement, options.siteRules || getActiveSiteRules());
+        normalizeCodeBlocks(clonedElement);
+        normalizeMath(clonedElement);
+        resolveImages(clonedElement);
 
-            elements.forEach(el => {
-                const rect = el.getBoundingClientRect();
-                const absLeft = rect.left + window.scrollX;
-                const absTop = rect.top + window.scrollY;
-                minX = Math.min(minX, absLeft);
-                minY = Math.min(minY, absTop);
-                maxX = Math.max(maxX, absLeft + rect.width);
-                maxY = Math.max(maxY, absTop + rect.height);
-            });
+        // Convert relative links to absolute and apply the link settings
+        rewriteLinks(clonedElement);
 
-            // Adjust for padding
-            minX = Math.max(0, minX - 10);
-            minY = Math.max(0, minY - 10);
-            maxX = Math.min(document.documentElement.scrollWidth, maxX + 10);
-            maxY = Math.min(document.documentElement.scrollHeight, maxY + 10);
+        if (options.stripBoilerplate) {
+            removeBoilerplate(clonedElement);
+        }
 
-            const width = maxX - minX;
-            const height = maxY - minY;
+        const shouldInlineImages = options.inlineImages ?? settings.inlineImages;
+        if (shouldInlineImages) {
+            await inlineImages(clonedElement, options.anchor || null);
+        }
 
-            if (width <= 0 || height <= 0) return false;
+        // Remove any MDCP-specific classes
+        clonedElement.classList.remove('mdcp-selected-element-outline');
 
-            const blob = await captureArea(minX, minY, width, height);
-            if (!blob) {
-                showToast('✗ 이미지 캡처에 실패했습니다.', floatingButton);
-                return false;
-            }
+        return clonedElement;
+    }
 
-            await navigator.clipboard.write([
-                new ClipboardItem({ 'image/png': blob })
-            ]);
+    const FOOTNOTE_REF_SELECTOR = 'sup a[href*="#"], a[role="doc-noteref"], a.footnote-ref, a[data-footnote-ref]';
+    const FOOTNOTE_BACKLINK_SELECTOR = 'a[role="doc-backlink"], a.footnote-backref, a[data-footnote-backref], a.reversefootnote, .mw-cite-backlink';
+    const FOOTNOTE_CONTAINER_SELECTOR = 'section.footnotes, div.footnotes, ol.references, .reflist, [role="doc-endnotes"]';
 
-            showToast('✓ 이미지가 클립보드에 복사되었습니다!', floatingButton);
-            return true;
+    /**
+     * Footnotes shared by every element of one copy so numbers don't repeat
+     */
+    function createFootnoteCollector() {
+        return { notes: [], numbers: new Map() };
+    }
+
+    /**
+     * Fragment id of a link to this page; prepareClone() has already made hrefs absolute
+     */
+    function getSamePageFragment(href) {
+        try {
+            const url = new URL(href, location.href);
+            if (url.hash.length < 2 || url.origin + url.pathname + url.search !== location.origin + location.pathname + location.search) {
+                return null;
+            }
+            return decodeURIComponent(url.hash.slice(1));
         } catch (error) {
-            console.error('Failed to copy image to clipboard:', error);
-            showToast('✗ 이미지 복사에 실패했습니다.', floatingButton);
-            return false;
+            return null;
         }
     }
 
     /**
-     * Copy full page as image
+     * Find the note a reference points at, in the clone first and then in the page
+     * (endnotes usually sit outside the selected element)
      */
-    async function copyFullPageAsImage() {
-        try {
-            showToast('전체 페이지 이미지 생성 중...', floatingButton);
+    function findFootnoteTarget(id, clone) {
+        const selector = `[id="${CSS.escape(id)}"], a[name="${CSS.escape(id)}"]`;
+        let target = clone.querySelector(selector);
+        const inClone = !!target;
+        if (!target) {
+            target = document.querySelector(selector);
+        }
+        if (!target) return null;
 
-            const width = Math.max(
-                document.documentElement.scrollWidth,
-                document.body.scrollWidth,
-                document.documentElement.clientWidth
-            );
-            const height = Math.max(
-                document.documentElement.scrollHeight,
-                document.body.scrollHeight,
-                document.documentElement.clientHeight
-            );
+        // Anchors and empty markers sit inside the actual note
+        if (target.tagName === 'A' || !target.textContent.trim()) {
+            target = target.closest('li, dd, p, aside, div') || target.parentElement;
+        }
+        if (!target || /^H[1-6]$/.test(target.tagName) || getTextLength(target) > 2000) return null;
+        return { note: target, inClone };
+    }
 
-            const blob = await captureArea(0, 0, width, height);
-            if (!blob) {
-                showToast('✗ 전체 페이지 이미지 캡처에 실패했습니다.', floatingButton);
-                return false;
+    function footnoteToMarkdown(note, service) {
+        const copy = note.cloneNode(true);
+        copy.querySelectorAll(FOOTNOTE_BACKLINK_SELECTOR).forEach(el => el.remove());
+        copy.querySelectorAll('a[href*="#"]').forEach(link => {
+            if (getSamePageFragment(link.getAttribute('href')) && /^(?:[↩↑^]|back)/i.test(link.textContent.trim())) link.remove();
+        });
+        rewriteLinks(copy);
+        // Reference definitions would land inside the footnote text, so links stay inline
+        const inlineService = service.getInlineLinkService ? service.getInlineLinkService() : service;
+        return turndownNested(inlineService, copy).trim();
+    }
+
+    /**
+     * Replace footnote references (sup > a[href="#..."] and friends) in a clone with numbered
+     * markers and collect the note texts; endnotes inside the clone are removed
+     */
+    function applyFootnotes(clone, collector, service) {
+        const usedNotes = new Set();
+        clone.querySelectorAll(FOOTNOTE_REF_SELECTOR).forEach(link => {
+            const label = link.textContent.trim();
+            const id = getSamePageFragment(link.getAttribute('href') || '');
+            if (!label || label.length > 12 || !id) return;
+
+            const found = findFootnoteTarget(id, clone);
+            if (!found || found.note.contains(link)) return;
+
+            let number = collector.numbers.get(id);
+            if (!number) {
+                const definition = footnoteToMarkdown(found.note, service);
+                if (!definition) return;
+                collector.notes.push(definition);
+                number = collector.notes.length;
+                collector.numbers.set(id, number);
             }
+            if (found.inClone) usedNotes.add(found.note);
 
-            await navigator.clipboard.write([
-                new ClipboardItem({ 'image/png': blob })
-            ]);
+            // Turndown skips empty elements, so the marker carries the number as text
+            const marker = document.createElement('mdcp-footnote-ref');
+            marker.textContent = String(number);
+            const sup = link.closest('sup');
+            (sup && sup.textContent.trim() === label ? sup : link).replaceWith(marker);
+        });
 
-            showToast('✓ 전체 페이지 이미지가 클립보드에 복사되었습니다!', floatingButton);
-            return true;
-        } catch (error) {
-            console.error('Failed to copy full page image:', error);
-            showToast('✗ 전체 페이지 이미지 복사에 실패했습니다.', floatingButton);
-            return false;
-        }
+        usedNotes.forEach(note => note.remove());
+        clone.querySelectorAll(FOOTNOTE_CONTAINER_SELECTOR).forEach(container => {
+            if (!container.textContent.trim()) container.remove();
+        });
+    }
+
+    function formatFootnoteDefinitions(collector) {
+        if (collector.notes.length === 0) return '';
+        const definitions = collector.notes.map((text, index) => {
+            const body = text.split('\n').map((line, lineIndex) => lineIndex === 0 || !line ? line : `    ${line}`).join('\n');
+            return `[^${index + 1}]: ${body}`;
+        });
+        return `\n\n${definitions.join('\n')}`;
     }
 
     /**
-     * Copy full page as Markdown
+     * Convert HTML element to Markdown.
+     * Footnote definitions are appended unless options.footnotes collects them for the caller.
      */
-    async function copyFullPageAsMarkdown() {
+    async function convertToMarkdown(element, options = {}) {
         try {
-            showToast('전체 페이지 Markdown 생성 중...', floatingButton);
-            const markdown = convertToMarkdown(document.body);
-            if (!markdown) {
-                showToast('✗ Markdown 변환에 실패했습니다.', floatingButton);
-                return false;
-            }
-            showPreviewPanel(markdown);
-            const copied = await copyToClipboard(markdown, null, floatingButton);
-            return copied;
+            const siteRules = getActiveSiteRules();
+            const clonedElement = await prepareClone(element, { ...options, siteRules });
+            localizeFragmentLinks([clonedElement]);
+            return cloneToMarkdown(clonedElement, siteRules, options.footnotes);
         } catch (error) {
-            console.error('Failed to copy full page Markdown:', error);
-            showToast('✗ 전체 페이지 Markdown 복사에 실패했습니다.', floatingButton);
-            return false;
+            console.error('Failed to convert to Markdown:', error);
+            return null;
         }
     }
 
     /**
-     * Copy image to clipboard
+     * Turndown a clone from prepareClone(); footnote definitions are appended unless
+     * a shared collector gathers them for the caller
      */
-    async function copyImageToClipboard(element) {
-        return copyMultipleElementsAsImage([element]);
+    function cloneToMarkdown(clonedElement, siteRules, sharedFootnotes = null) {
+        const service = getTurndownServiceForRules(siteRules);
+        const footnotes = sharedFootnotes || createFootnoteCollector();
+        applyFootnotes(clonedElement, footnotes, service);
+
+        let markdown = service.turndown(clonedElement.outerHTML);
+        if (!sharedFootnotes) {
+            markdown += formatFootnoteDefinitions(footnotes);
+        }
+        return markdown;
+    }
+
+    // Output formats offered next to Markdown; all of them start from prepareClone()
+    const OUTPUT_FORMATS = {
+        markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+        text: { label: '텍스트', extension: 'txt', mimeType: 'text/plain' },
+        asciidoc: { label: 'AsciiDoc', extension: 'adoc', mimeType: 'text/asciidoc' },
+        org: { label: 'Org', extension: 'org', mimeType: 'text/org' },
+        rst: { label: 'reST', extension: 'rst', mimeType: 'text/x-rst' }
+    };
+
+    const RST_HEADING_CHARS = ['=', '-', '~', '^', '"', "'"];
+
+    const indentLines = (text, prefix) => text.split('\n').map(line => line ? prefix + line : line).join('\n');
+
+    function isAbsoluteUrl(href) {
+        return /^(?:https?|ftp|mailto):/i.test(href);
     }
 
     /**
-     * Extract YouTube video links from element
+     * Syntax for the lightweight markup formats. Inline helpers receive already
+     * rendered text; block helpers return a whole block without surrounding blank lines.
      */
-    function extractYouTubeLinks(element) {
-        const links = [];
-        const linkElements = element.tagName === 'A' ? [element] : Array.from(element.querySelectorAll('a'));
+    const MARKUP_WRITERS = {
+        text: {
+            heading: (text, level) => level <= 2 ? `${text}\n${(level === 1 ? '=' : '-').repeat(getDisplayWidth(text))}` : text,
+            strong: text => text,
+            em: text => text,
+            strike: text => text,
+            code: text => text,
+            link: (text, href) => !text || text === href ? href : `${text} (${href})`,
+            image: (src, alt) => `[${alt || 'image'}: ${src}]`,
+            lineBreak: '\n',
+            codeBlock: code => indentLines(code, '    '),
+            quote: text => text.split('\n').map(line => line ? `> ${line}` : '>').join('\n'),
+            hr: '----------',
+            listMarker: (ordered, number) => ordered ? `${number}.` : '-',
+            table: 'grid'
+        },
+        asciidoc: {
+            heading: (text, level) => `${'='.repeat(Math.min(level + 1, 6))} ${text}`,
+            strong: text => `*${text}*`,
+            em: text => `_${text}_`,
+            strike: text => `[.line-through]#${text}#`,
+            code: text => `\`+${text}+\``,
+            link: (text, href) => {
+                const label = (text || '').replace(/]/g, '\\]');
+                return `${isAbsoluteUrl(href) ? '' : 'link:'}${href}[${label}]`;
+            },
+            image: (src, alt) => `image:${src}[${(alt || '').replace(/]/g, '\\]')}]`,
+            blockImage: (src, alt) => `image::${src}[${(alt || '').replace(/]/g, '\\]')}]`,
+            lineBreak: ' +\n',
+            codeBlock: (code, language) => `${language ? `[source,${language}]\n` : ''}----\n${code}\n----`,
+            quote: text => `____\n${text}\n____`,
+            hr: "'''",
+            // Nesting is expressed by repeating the marker, not by indentation
+            listMarker: (ordered, number, depth) => (ordered ? '.' : '*').repeat(depth),
+            flatLists: true,
+            table: 'asciidoc'
+        },
+        org: {
+            heading: (text, level) => `${'*'.repeat(level)} ${text}`,
+            strong: text => `*${text}*`,
+            em: text => `/${text}/`,
+            strike: text => `+${text}+`,
+            code: text => `~${text}~`,
+            link: (text, href) => !text || text === href ? `[[${href}]]` : `[[${href}][${text.replace(/[[\]]/g, '')}]]`,
+            image: src => `[[${src}]]`,
+            lineBreak: '\\\\\n',
+            codeBlock: (code, language) => language
+                ? `#+BEGIN_SRC ${language}\n${code}\n#+END_SRC`
+                : `#+BEGIN_EXAMPLE\n${code}\n#+END_EXAMPLE`,
+            quote: text => `#+BEGIN_QUOTE\n${text}\n#+END_QUOTE`,
+            hr: '-----',
+            listMarker: (ordered, number) => ordered ? `${number}.` : '-',
+            table: 'pipe'
+        },
+        rst: {
+            heading: (text, level) => `${text}\n${RST_HEADING_CHARS[level - 1].repeat(Math.max(getDisplayWidth(text), 4))}`,
+            strong: text => `**${text}**`,
+            em: text => `*${text}*`,
+            strike: text => text,
+            code: text => `\`\`${text}\`\``,
+            link: (text, href) => !text || text === href ? href : `\`${text.replace(/[<>`]/g, '')} <${href}>\`__`,
+            image: (src, alt) => alt ? `\`${alt.replace(/[<>`]/g, '')} <${src}>\`__` : src,
+            blockImage: (src, alt) => `.. image:: ${src}${alt ? `\n   :alt: ${alt}` : ''}`,
+            // reST has no inline line break; a line block would change the paragraph type
+            lineBreak: ' ',
+            codeBlock: (code, language) => `${language ? `.. code-block:: ${language}` : '::'}\n\n${indentLines(code, '   ')}`,
+            quote: text => indentLines(text, '    '),
+            hr: '----------',
+            listMarker: (ordered, number) => ordered ? '#.' : '-',
+            // Nested lists must be separated from their parent item by blank lines
+            spacedNestedLists: true,
+            table: 'grid'
+        }
+    };
 
-        linkElements.forEach(link => {
-            const href = link.href;
-            // Match YouTube video URLs
-            if (href && (href.includes('youtube.com/watch?v=') || href.includes('youtu.be/'))) {
-                links.push(href);
+    const MARKUP_BLOCK_TAGS = new Set([
+        'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET',
+        'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR',
+        'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+    ]);
+    const MARKUP_SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'SVG', 'TEMPLATE', 'BUTTON']);
+
+    function renderInlineMarkup(node, writer) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || MARKUP_SKIPPED_TAGS.has(node.tagName.toUpperCase())) {
+            return '';
+        }
+
+        const inner = () => Array.from(node.childNodes).map(child => renderInlineMarkup(child, writer)).join('');
+        const wrap = (format) => {
+            const text = inner();
+            const trimmed = text.trim();
+            if (!trimmed) return text;
+            // Keep surrounding spaces outside of the markup delimiters
+            return text.replace(trimmed, () => format(trimmed));
+        };
+
+        switch (node.tagName) {
+            case 'BR':
+                return writer.lineBreak;
+            case 'STRONG':
+            case 'B':
+                return wrap(writer.strong);
+            case 'EM':
+            case 'I':
+                return wrap(writer.em);
+            case 'S':
+            case 'DEL':
+            case 'STRIKE':
+                return wrap(writer.strike);
+            case 'CODE':
+            case 'KBD':
+            case 'SAMP':
+                return node.textContent.trim() ? writer.code(node.textContent.replace(/\s+/g, ' ')) : '';
+            case 'A': {
+                const href = node.getAttribute('href') || '';
+                const text = inner().trim();
+                if (!href || href.startsWith('javascript:')) return text;
+                return writer.link(text, href);
             }
-        });
+            case 'IMG': {
+                const src = node.getAttribute('src') || '';
+                return src ? writer.image(src, node.getAttribute('alt') || '') : '';
+            }
+            default:
+                return inner();
+        }
+    }
 
-        return links;
+    function cleanInlineText(text, writer) {
+        return text
+            .split(writer.lineBreak === ' ' ? /\n/ : writer.lineBreak)
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .join(writer.lineBreak)
+            .trim();
     }
 
-    function extractYouTubeMetadata() {
-        const title =
-            document.querySelector('h1.ytd-watch-metadata yt-formatted-string')?.textContent?.trim() ||
-            document.querySelector('h1.title')?.textContent?.trim() ||
-            document.querySelector('meta[name="title"]')?.getAttribute('content')?.trim() ||
-            document.title?.replace(' - YouTube', '').trim();
+    function renderTableMarkup(table, writer) {
+        const tableGrid = buildTableGrid(table);
+        if (tableGrid.grid.length === 0 || tableGrid.width === 0) return '';
+        const texts = new Map();
+        const cellText = (cell) => {
+            if (!texts.has(cell)) {
+                const text = cleanInlineText(Array.from(cell.childNodes).map(child => renderInlineMarkup(child, writer)).join(''), writer);
+                texts.set(cell, text.replace(/\n/g, ' '));
+            }
+            return texts.get(cell);
+        };
 
-        const channel =
-            document.querySelector('#owner ytd-channel-name yt-formatted-string')?.textContent?.trim() ||
-            document.querySelector('ytd-channel-name a')?.textContent?.trim() ||
-            document.querySelector('meta[itemprop="channelId"]')?.getAttribute('content')?.trim() ||
-            '';
+        if (writer.table === 'grid') {
+            const cellLines = new Map();
+            tableGrid.grid.forEach(row => row.forEach(slot => {
+                if (slot && !cellLines.has(slot.cell)) cellLines.set(slot.cell, [cellText(slot.cell)]);
+            }));
+            return gridToGridTable(tableGrid, cellLines, { strongDelimiter: writer === MARKUP_WRITERS.rst ? '**' : '' });
+        }
 
-        const viewCount =
-            document.querySelector('span.view-count')?.textContent?.trim() ||
-            document.querySelector('meta[itemprop="interactionCount"]')?.getAttribute('content')?.trim() ||
-            '';
+        if (writer.table === 'asciidoc') {
+            // AsciiDoc keeps real spans: "2+|" spans columns, ".2+|" spans rows
+            const lines = [`[cols="${tableGrid.width}*"${tableGrid.headerRowCount > 0 ? ', options="header"' : ''}]`, '|==='];
+            tableGrid.grid.forEach((row, rowIndex) => {
+                const cells = row.filter(slot => slot && slot.origin).map(slot => {
+                    const span = `${slot.colSpan > 1 ? slot.colSpan : ''}${slot.rowSpan > 1 ? `.${slot.rowSpan}` : ''}`;
+                    const style = slot.col < tableGrid.headerColumnCount && rowIndex >= tableGrid.headerRowCount ? 'h' : '';
+                    const spec = span ? `${span}+${style}` : style;
+                    return `${spec}| ${cellText(slot.cell).replace(/\|/g, '\\|')}`;
+                });
+                lines.push(cells.join(' '));
+                if (rowIndex === 0 && tableGrid.headerRowCount > 0) lines.push('');
+            });
+            lines.push('|===');
+            return lines.join('\n');
+        }
 
-        const publishedDate =
-            document.querySelector('#info-strings yt-formatted-string')?.textContent?.trim() ||
-            document.querySelector('meta[itemprop="datePublished"]')?.getAttribute('content')?.trim() ||
-            '';
+        // Org pipe table: spans expanded like GFM tables
+        const slotText = (slot) => slot && (slot.origin || settings.tables.spanFill !== 'blank') ? cellText(slot.cell) : '';
+        const toLine = (row) => `| ${row.map(slot => slotText(slot).replace(/\|/g, '\\vert{}')).join(' | ')} |`;
+        const lines = tableGrid.grid.map(toLine);
+        if (tableGrid.headerRowCount > 0) {
+            lines.splice(tableGrid.headerRowCount, 0, `|${new Array(tableGrid.width).fill('---').join('+')}|`);
+        }
+        return lines.join('\n');
+    }
 
-        const url =
-            document.querySelector('link[rel="canonical"]')?.getAttribute('href') ||
-            window.location.href;
+    function renderListMarkup(list, writer, depth, indent) {
+        const ordered = list.tagName === 'OL';
+        let number = parseInt(list.getAttribute('start'), 10) || 1;
+        const lines = [];
+
+        Array.from(list.children).filter(child => child.tagName === 'LI').forEach(item => {
+            const marker = writer.listMarker(ordered, number++, depth);
+            const childIndent = writer.flatLists ? '' : indent + ' '.repeat(marker.length + 1);
+            const inlineParts = [];
+            const nested = [];
+            Array.from(item.childNodes).forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'UL' || child.tagName === 'OL')) {
+                    nested.push(renderListMarkup(child, writer, depth + 1, childIndent));
+                } else if (child.nodeType === Node.ELEMENT_NODE && MARKUP_BLOCK_TAGS.has(child.tagName) && child.tagName !== 'P' && child.tagName !== 'DIV') {
+                    nested.push(indentLines(renderBlockMarkup(child, writer), childIndent));
+                } else {
+                    inlineParts.push(renderInlineMarkup(child, writer));
+                }
+            });
 
-        const lines = [
-            title ? `# ${title}` : '',
-            url ? `영상 링크: ${url}` : '',
-            channel ? `채널명: ${channel}` : '',
-            viewCount ? `조회수: ${viewCount}` : '',
-            publishedDate ? `게시일: ${publishedDate}` : ''
-        ].filter(Boolean);
+            const text = cleanInlineText(inlineParts.join(' '), writer).replace(/\n/g, `\n${childIndent}`);
+            lines.push(`${indent}${marker} ${text}`);
+            nested.filter(Boolean).forEach(block => {
+                if (writer.spacedNestedLists) lines.push('');
+                lines.push(block);
+                if (writer.spacedNestedLists) lines.push('');
+            });
+        });
 
-        return lines.join('\n');
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n');
     }
 
     /**
-     * Convert all relative links to absolute links in an element
+     * Render the block structure of a cleaned clone with one of MARKUP_WRITERS
      */
-    function makeLinksAbsolute(element) {
-        // Convert <a> href
-        element.querySelectorAll('a[href]').forEach(a => {
-            // a.href returns the absolute URL in the browser
-            const absoluteHref = a.href;
-            if (absoluteHref) {
-                a.setAttribute('href', absoluteHref);
+    function renderBlockMarkup(element, writer) {
+        const blocks = [];
+        let inline = [];
+
+        const flushInline = () => {
+            const onlyImage = inline.length > 0 && inline.every(node =>
+                (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) ||
+                (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'IMG'));
+            if (onlyImage && writer.blockImage) {
+                inline.filter(node => node.nodeType === Node.ELEMENT_NODE && node.getAttribute('src')).forEach(img => {
+                    blocks.push(writer.blockImage(img.getAttribute('src'), img.getAttribute('alt') || ''));
+                });
+            } else {
+                const text = cleanInlineText(inline.map(node => renderInlineMarkup(node, writer)).join(''), writer);
+                if (text) blocks.push(text);
+            }
+            inline = [];
+        };
+
+        Array.from(element.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && MARKUP_SKIPPED_TAGS.has(node.tagName.toUpperCase())) return;
+            if (node.nodeType !== Node.ELEMENT_NODE || !MARKUP_BLOCK_TAGS.has(node.tagName)) {
+                inline.push(node);
+                return;
+            }
+
+            flushInline();
+            const tag = node.tagName;
+            let block = '';
+            if (/^H[1-6]$/.test(tag)) {
+                const text = cleanInlineText(renderInlineMarkup(node, writer), writer).replace(/\n/g, ' ');
+                if (text) block = writer.heading(text, Number(tag.charAt(1)));
+            } else if (tag === 'UL' || tag === 'OL') {
+                block = renderListMarkup(node, writer, 1, '');
+            } else if (tag === 'PRE') {
+                const code = getCodeText(node).replace(/\n$/, '');
+                if (code.trim()) block = writer.codeBlock(code, detectCodeLanguage(node));
+            } else if (tag === 'BLOCKQUOTE') {
+                const inner = renderBlockMarkup(node, writer);
+                if (inner) block = writer.quote(inner);
+            } else if (tag === 'TABLE') {
+                block = renderTableMarkup(node, writer);
+            } else if (tag === 'HR') {
+                block = writer.hr;
+            } else if (tag === 'DT') {
+                const text = cleanInlineText(renderInlineMarkup(node, writer), writer);
+                if (text) block = writer.strong(text);
+            } else {
+                block = renderBlockMarkup(node, writer);
             }
+            if (block) blocks.push(block);
         });
+        flushInline();
 
-        // Convert <img> src
-        element.querySelectorAll('img[src]').forEach(img => {
-            // img.src returns the absolute URL in the browser
-            const absoluteSrc = img.src;
-            if (absoluteSrc) {
-                img.setAttribute('src', absoluteSrc);
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Cleaned HTML: sanitized markup with plain <pre><code class="language-*"> code blocks
+     * and without presentational wrappers
+     */
+    function renderCleanHtml(element) {
+        element.querySelectorAll('pre').forEach(pre => {
+            const language = detectCodeLanguage(pre);
+            const code = document.createElement('code');
+            if (language) code.className = `language-${language}`;
+            code.textContent = getCodeText(pre).replace(/\n$/, '');
+            pre.replaceChildren(code);
+        });
+
+        const template = document.createElement('template');
+        template.innerHTML = sanitizeHtml(element.outerHTML);
+        template.content.querySelectorAll('span').forEach(span => span.replaceWith(...span.childNodes));
+        // Layout <div>s become paragraphs, or disappear when they only group other blocks
+        Array.from(template.content.querySelectorAll('div')).reverse().forEach(div => {
+            const hasBlocks = Array.from(div.children).some(child => MARKUP_BLOCK_TAGS.has(child.tagName));
+            if (hasBlocks) {
+                div.replaceWith(...div.childNodes);
+            } else {
+                const paragraph = document.createElement('p');
+                paragraph.append(...div.childNodes);
+                div.replaceWith(paragraph);
             }
         });
+        template.content.querySelectorAll('p').forEach(paragraph => {
+            if (!paragraph.textContent.trim() && !paragraph.querySelector('img')) paragraph.remove();
+        });
+        return template.innerHTML.replace(/\n{3,}/g, '\n\n').trim();
     }
 
     /**
-     * Convert HTML element to Markdown
+     * Convert an element to one of OUTPUT_FORMATS
      */
-    function convertToMarkdown(element) {
+    async function convertToFormat(element, format, options = {}) {
+        if (format === 'markdown' || !OUTPUT_FORMATS[format]) {
+            return convertToMarkdown(element, options);
+        }
         try {
-            // Clone the element to avoid modifying the original
-            const clonedElement = element.cloneNode(true);
-
-            // Convert relative links to absolute
-            makeLinksAbsolute(clonedElement);
+            return cloneToFormat(await prepareClone(element, options), format);
+        } catch (error) {
+            console.error(`Failed to convert to ${format}:`, error);
+            return null;
+        }
+    }
 
-            // Remove any MDCP-specific classes
-            clonedElement.classList.remove('mdcp-selected-element-outline');
+    /**
+     * Render a clone from prepareClone() in one of the non-Markdown formats
+     */
+    function cloneToFormat(clonedElement, format) {
+        if (format === 'html') {
+            return renderCleanHtml(clonedElement);
+        }
+        const output = renderBlockMarkup(clonedElement, MARKUP_WRITERS[format]);
+        return output.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+    }
 
-            // Get the HTML content
-            const html = clonedElement.outerHTML;
+    // Page styles don't reach into shadow roots, so highlights there are applied inline
+    const HIGHLIGHT_INLINE_STYLES = {
+        'mdcp-selected-element-outline': 'outline: 2px solid #4285f4 !important; outline-offset: 2px !important; background-color: rgba(66, 133, 244, 0.1) !important; cursor: pointer !important;',
+        'mdcp-multi-selected': 'outline: 3px solid #34a853 !important; outline-offset: 2px !important; background-color: rgba(52, 168, 83, 0.15) !important;'
+    };
+    const shadowHighlightStyles = new Map();
 
-            // Convert to Markdown
-            const markdown = turndownService.turndown(html);
+    function setHighlight(element, className, enabled) {
+        element.classList.toggle(className, enabled);
+        if (!(element.getRootNode() instanceof ShadowRoot)) return;
 
-            return markdown;
-        } catch (error) {
-            console.error('Failed to convert to Markdown:', error);
-            return null;
+        if (!shadowHighlightStyles.has(element)) {
+            shadowHighlightStyles.set(element, element.getAttribute('style'));
         }
+        const original = shadowHighlightStyles.get(element);
+        const active = Object.keys(HIGHLIGHT_INLINE_STYLES).filter(name => element.classList.contains(name));
+        if (active.length === 0) {
+            if (original === null) {
+                element.removeAttribute('style');
+            } else {
+                element.setAttribute('style', original);
+            }
+            shadowHighlightStyles.delete(element);
+        } else {
+            // The multi-selection style wins, as in styles.css
+            element.setAttribute('style', `${original ? `${original};` : ''}${HIGHLIGHT_INLINE_STYLES[active[active.length - 1]]}`);
+        }
+    }
+
+    /**
+     * The innermost element of an event, looking inside open shadow roots
+     */
+    function getEventTarget(event) {
+        const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+        return path.find(node => node.nodeType === Node.ELEMENT_NODE) || event.target;
     }
 
     /**
@@ -1412,13 +5133,14 @@
         event.stopPropagation();
 
         // Remove highlight from previous element
-        if (currentElement && currentElement !== event.target) {
-            currentElement.classList.remove('mdcp-selected-element-outline');
+        const target = getEventTarget(event);
+        if (currentElement && currentElement !== target) {
+            setHighlight(currentElement, 'mdcp-selected-element-outline', false);
         }
 
         // Highlight current element
-        currentElement = event.target;
-        currentElement.classList.add('mdcp-selected-element-outline');
+        currentElement = target;
+        setHighlight(currentElement, 'mdcp-selected-element-outline', true);
 
         // Temporarily hide floating button when hovering over elements
         if (floatingButton && !floatingButton.classList.contains('mdcp-dragging')) {
@@ -1439,7 +5161,7 @@
         event.stopPropagation();
 
         // Restore floating button opacity when not hovering
-        if (floatingButton && event.target === currentElement) {
+        if (floatingButton && getEventTarget(event) === currentElement) {
             floatingButton.style.opacity = '';
         }
     }
@@ -1506,7 +5228,7 @@
         selectedInArea.forEach(el => {
             if (!selectedElements.includes(el)) {
                 selectedElements.push(el);
-                el.classList.add('mdcp-multi-selected');
+                setHighlight(el, 'mdcp-multi-selected', true);
             }
         });
 
@@ -1666,22 +5388,8 @@
                 copyMultipleElementsAsImage(elementsToProcess);
             }
         } else {
-            // Convert to Markdown
-            const markdowns = elementsToProcess.map(el => convertToMarkdown(el)).filter(md => md);
-
-            if (markdowns.length > 0) {
-                let combinedMarkdown;
-
-                combinedMarkdown = markdowns.join('\n\n');
-
-                // Copy to clipboard and show preview
-                const copied = await copyToClipboard(combinedMarkdown, null, floatingButton);
-                if (copied) {
-                    showPreviewPanel(combinedMarkdown);
-                }
-            } else {
-                showToast('✗ Markdown 변환에 실패했습니다.', floatingButton);
-            }
+            // Convert to Markdown or the output format picked in the preview panel
+            await copyElementsAsMarkdown(elementsToProcess, floatingButton, settings.outputFormat);
         }
 
         // Clean up
@@ -1714,13 +5422,13 @@
             if (index > -1) {
                 // Element is already selected, remove it
                 selectedElements.splice(index, 1);
-                currentElement.classList.remove('mdcp-selected-element-outline');
-                currentElement.classList.remove('mdcp-multi-selected');
+                setHighlight(currentElement, 'mdcp-selected-element-outline', false);
+                setHighlight(currentElement, 'mdcp-multi-selected', false);
                 showToast(`선택 해제됨 (${selectedElements.length}개 선택됨)`, floatingButton);
             } else {
                 // Add to selection
                 selectedElements.push(currentElement);
-                currentElement.classList.add('mdcp-multi-selected');
+                setHighlight(currentElement, 'mdcp-multi-selected', true);
                 showToast(`${selectedElements.length}개 요소 선택됨 (엔터키로 복사)`, floatingButton);
             }
         }
@@ -1789,6 +5497,7 @@
     function getFloatingButtonTitle() {
         const lines = [
             '요소 복사 모드 시작',
+            'Ctrl+클릭: 선택한 텍스트 Markdown',
             'Shift+클릭: 전체 페이지 Markdown',
             '우클릭: 요소 이미지 복사',
             'Shift+우클릭: 전체 페이지 이미지'
@@ -1833,10 +5542,13 @@
 
             previewState.captionTracks = tracks;
             previewState.captions = '';
+            previewState.captionSegments = [];
+            previewState.captionFormat = 'text';
+            previewState.captionParagraphSeconds = settings.captionParagraphSeconds;
             previewState.captionsMeta = null;
 
             if (!previewPanel) {
-                showPreviewPanel(previewState.markdown || '');
+                showPreviewPanel(previewState.markdown || '', { tables: previewState.tables });
             }
 
             updatePreviewContent();
@@ -1856,6 +5568,7 @@
         floatingButton.innerHTML = '📋';
         floatingButton.title = getFloatingButtonTitle();
         document.body.appendChild(floatingButton);
+        updateFloatingButtonVisibility();
 
         // Restore last position from chrome.storage when available
         if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
@@ -1891,6 +5604,174 @@
         document.addEventListener('mouseup', handleDragEnd);
     }
 
+    function updateFloatingButtonVisibility() {
+        if (!floatingButton) return;
+        // Keep the button visible while selecting so the mode indicator stays on screen
+        floatingButton.classList.toggle('mdcp-hidden', !settings.showFloatingButton && !isSelectionMode);
+    }
+
+    /**
+     * Run a keyboard shortcut command routed from the background worker
+     */
+    function runCommand(command) {
+        switch (command) {
+            case 'start-markdown-selection':
+            case 'start-image-selection':
+                if (isSelectionMode) {
+                    deactivateSelectionMode();
+                    return true;
+                }
+                copyAsImage = command === 'start-image-selection';
+                activateSelectionMode(copyAsImage ? '이미지' : 'Markdown');
+                return true;
+            case 'copy-page-markdown':
+                copyFullPageAsMarkdown();
+                return true;
+            case 'copy-page-image':
+                copyFullPageAsImage();
+                return true;
+            case 'open-youtube-captions':
+                copyYouTubeCaptions();
+                return true;
+            case 'copy-selection-markdown':
+                copySelectionAsMarkdown();
+                return true;
+            case 'copy-article-markdown':
+                copyFullPageAsMarkdown({ articleOnly: true });
+                return true;
+            default:
+                console.warn('Unknown command:', command);
+                return false;
+        }
+    }
+
+    /**
+     * Run a context menu item on the element that was right-clicked
+     */
+    function runContextMenuItem(menuItemId, frameId = 0) {
+        let target = contextMenuTarget && contextMenuTarget.isConnected ? contextMenuTarget : null;
+        // Only trust the remembered target if it was clicked in the frame Chrome reports
+        const inFrame = !!target && target.ownerDocument !== document;
+        if (target && inFrame !== (frameId !== 0)) target = null;
+        // Toasts and captures are positioned in the top document, so framed targets use their frame
+        const anchor = target ? getTopLevelElement(target) : floatingButton;
+        if (!target && frameId !== 0 && menuItemId !== 'mdcp-copy-page-markdown' &&
+            menuItemId !== 'mdcp-copy-article-markdown') {
+            showToast('✗ 이 프레임의 내용에는 접근할 수 없습니다.', floatingButton);
+            return false;
+        }
+        switch (menuItemId) {
+            case 'mdcp-copy-element-markdown':
+                if (!target) break;
+                copyElementsAsMarkdown([target], anchor);
+                return true;
+            case 'mdcp-copy-table-data': {
+                if (!target) break;
+                // Context menus can't be limited to tables, so other targets only get a hint
+                const table = target.closest('table');
+                if (!table) {
+                    showToast('표 안에서 오른쪽 클릭한 뒤 다시 시도하세요.', anchor);
+                    return false;
+                }
+                copyTablesAsData([table], 'tsv', inFrame ? anchor : table);
+                return true;
+            }
+            case 'mdcp-copy-element-image':
+                if (!target) break;
+                // Captures use top-level page coordinates, so a framed element is captured with its frame
+                copyImageToClipboard(anchor);
+                return true;
+            case 'mdcp-copy-selection-markdown':
+                copySelectionAsMarkdown(anchor, (target ? target.ownerDocument : document).getSelection());
+                return true;
+            case 'mdcp-copy-page-markdown':
+                copyFullPageAsMarkdown({ articleOnly: false });
+                return true;
+            case 'mdcp-copy-article-markdown':
+                copyFullPageAsMarkdown({ articleOnly: true });
+                return true;
+            default:
+                console.warn('Unknown context menu item:', menuItemId);
+                return false;
+        }
+        showToast('✗ 복사할 요소를 찾지 못했습니다.', floatingButton);
+        return false;
+    }
+
+    /**
+     * The outermost frame element in the top document that contains the element
+     */
+    function getTopLevelElement(element) {
+        let current = element;
+        while (current.ownerDocument !== document) {
+            const frame = current.ownerDocument.defaultView && current.ownerDocument.defaultView.frameElement;
+            if (!frame) break;
+            current = frame;
+        }
+        return current;
+    }
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (!message) return;
+        if (message.type === 'mdcp-command') {
+            sendResponse({ ok: runCommand(message.command) });
+        } else if (message.type === 'mdcp-context-menu') {
+            sendResponse({ ok: runContextMenuItem(message.menuItemId, message.frameId || 0) });
+        }
+    });
+
+    // Keep the history tab in sync with copies made in other tabs
+    if (hasLocalStorage() && chrome.storage.onChanged) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local') return;
+            if (changes[HISTORY_STORAGE_KEY] && previewState.activeTab === 'history') {
+                renderHistoryPane();
+            }
+            if (changes[COLLECTION_STORAGE_KEY] && previewState.activeTab === 'collection') {
+                // Don't re-render under the cursor while a fragment is being edited
+                const editing = document.activeElement && document.activeElement.matches('textarea[data-collection-edit]');
+                if (!editing) renderCollectionPane();
+            }
+        });
+    }
+
+    // Remember what was right-clicked so context menu actions can target it. The content
+    // script only runs in the top frame, so same-origin frames report their clicks here too.
+    const watchedFrameDocuments = new WeakSet();
+
+    function recordContextMenuTarget(event) {
+        const target = getEventTarget(event);
+        contextMenuTarget = target && target.nodeType === Node.ELEMENT_NODE ? target : null;
+    }
+
+    function watchFrameContextMenus(root) {
+        root.querySelectorAll('iframe, frame').forEach(frame => {
+            let frameDocument = null;
+            try {
+                frameDocument = frame.contentDocument;
+            } catch (error) {
+                return;
+            }
+            if (!frameDocument || watchedFrameDocuments.has(frameDocument)) return;
+            watchedFrameDocuments.add(frameDocument);
+            frameDocument.addEventListener('contextmenu', recordContextMenuTarget, true);
+            frameDocument.addEventListener('load', handleFrameLoad, true);
+            watchFrameContextMenus(frameDocument);
+        });
+    }
+
+    function handleFrameLoad(event) {
+        // Frames get a new document on every navigation
+        const tag = event.target && event.target.tagName;
+        if (tag === 'IFRAME' || tag === 'FRAME') {
+            watchFrameContextMenus(event.target.ownerDocument);
+        }
+    }
+
+    document.addEventListener('contextmenu', recordContextMenuTarget, true);
+    document.addEventListener('load', handleFrameLoad, true);
+    watchFrameContextMenus(document);
+
     /**
      * Handle floating button click
      */
@@ -1914,6 +5795,12 @@
             return;
         }
 
+        // Ctrl/Cmd+click copies highlighted text, so a forgotten selection never blocks element mode
+        if ((event.ctrlKey || event.metaKey) && !isSelectionMode) {
+            copySelectionAsMarkdown();
+            return;
+        }
+
         if (!isSelectionMode) {
             copyAsImage = false;
             activateSelectionMode();
@@ -2030,6 +5917,7 @@
             floatingButton.classList.add('mdcp-active');
             floatingButton.innerHTML = copyAsImage ? '🖼️' : '✕';
             floatingButton.title = '선택 모드 종료';
+            updateFloatingButtonVisibility();
         }
 
         // Create overlay
@@ -2047,8 +5935,8 @@
         document.addEventListener('keydown', handleKeyDown, true);
         document.addEventListener('keyup', handleKeyUp, true);
 
-        const modeText = copyAsImage ? '이미지' : 'Markdown';
-        showToast(`요소를 클릭하여 선택하세요 (Alt+드래그: 영역 선택, Enter: 복사, ESC: 취소)`, floatingButton);
+        const modeText = copyAsImage ? '이미지' : (OUTPUT_FORMATS[settings.outputFormat] || OUTPUT_FORMATS.markdown).label;
+        showToast(`요소를 클릭하여 선택하세요 [${modeText}] (Alt+드래그: 영역 선택, Enter: 복사, ESC: 취소)`, floatingButton);
     }
 
     /**
@@ -2066,14 +5954,14 @@
 
         // Remove highlight from current element
         if (currentElement) {
-            currentElement.classList.remove('mdcp-selected-element-outline');
+            setHighlight(currentElement, 'mdcp-selected-element-outline', false);
             currentElement = null;
         }
 
         // Remove highlight from all selected elements
         selectedElements.forEach(el => {
-            el.classList.remove('mdcp-selected-element-outline');
-            el.classList.remove('mdcp-multi-selected');
+            setHighlight(el, 'mdcp-selected-element-outline', false);
+            setHighlight(el, 'mdcp-multi-selected', false);
         });
         selectedElements = [];
 
@@ -2096,6 +5984,7 @@
             floatingButton.title = getFloatingButtonTitle();
             floatingButton.style.opacity = '';
             floatingButton.style.display = '';
+            updateFloatingButtonVisibility();
         }
 
         // Remove event listeners
@@ -2111,6 +6000,7 @@
 
     // Initialize floating button when script is injected
     createFloatingButton();
+    loadSettings();
 
     if (isYouTubeWatchPage()) {
         setupYouTubeObservers();
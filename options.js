@@ -0,0 +1,173 @@
+// Options page for Element to Markdown Copier
+// Binds form fields (data-setting="path.to.key") to the stored settings
+
+(function () {
+    'use strict';
+
+    const statusEl = document.querySelector('.mdcp-options-status');
+    const rulesTextarea = document.querySelector('.mdcp-options-rules');
+    const rulesErrorEl = document.querySelector('.mdcp-options-rules-error');
+    const rulesFileInput = document.querySelector('.mdcp-options-rules-file');
+    let currentSettings = null;
+    let statusTimer = null;
+
+    function getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+    }
+
+    function setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((value, key) => {
+            if (!value[key] || typeof value[key] !== 'object') value[key] = {};
+            return value[key];
+        }, object);
+        target[last] = value;
+    }
+
+    function readField(field) {
+        if (field.type === 'checkbox') return field.checked;
+        if (field.type === 'number') return Number(field.value) || 0;
+        return field.value;
+    }
+
+    function writeField(field, value) {
+        if (field.type === 'checkbox') {
+            field.checked = !!value;
+        } else {
+            field.value = value == null ? '' : String(value);
+        }
+    }
+
+    function showStatus(message) {
+        statusEl.textContent = message;
+        clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => {
+            statusEl.textContent = '';
+        }, 2000);
+    }
+
+    function render(settings) {
+        document.querySelectorAll('[data-setting]').forEach(field => {
+            writeField(field, getPath(settings, field.getAttribute('data-setting')));
+        });
+        const referenceStyle = document.querySelector('[data-setting="turndown.linkReferenceStyle"]');
+        if (referenceStyle) {
+            referenceStyle.disabled = settings.turndown.linkStyle !== 'referenced';
+        }
+        const spanFill = document.querySelector('[data-setting="tables.spanFill"]');
+        if (spanFill) {
+            spanFill.disabled = settings.tables.format === 'grid';
+        }
+        document.querySelectorAll('[data-setting^="lazyLoad."]:not([data-setting="lazyLoad.enabled"])').forEach(field => {
+            field.disabled = !settings.lazyLoad.enabled;
+        });
+        document.querySelectorAll('[data-setting^="frontMatter.fields."]').forEach(field => {
+            field.disabled = !settings.frontMatter.enabled;
+        });
+        // Don't overwrite rules the user is still editing
+        if (document.activeElement !== rulesTextarea) {
+            rulesTextarea.value = settings.siteRules.length > 0 ? JSON.stringify(settings.siteRules, null, 2) : '';
+        }
+    }
+
+    function parseRules(text) {
+        if (!text.trim()) return { rules: [], errors: [] };
+        try {
+            const rules = JSON.parse(text);
+            return { rules, errors: window.mdcpSettings.validateSiteRules(rules) };
+        } catch (error) {
+            return { rules: null, errors: [`JSON 구문 오류: ${error.message}`] };
+        }
+    }
+
+    async function saveRules(text) {
+        const { rules, errors } = parseRules(text);
+        rulesErrorEl.textContent = errors.join('\n');
+        if (errors.length > 0) {
+            showStatus('✗ 규칙에 오류가 있습니다');
+            return false;
+        }
+        try {
+            currentSettings = await window.mdcpSettings.save({ ...currentSettings, siteRules: rules });
+            rulesTextarea.blur();
+            render(currentSettings);
+            showStatus(`✓ 규칙 ${rules.length}개가 저장되었습니다`);
+            return true;
+        } catch (error) {
+            console.error('Failed to save site rules:', error);
+            rulesErrorEl.textContent = error.userMessage || '';
+            showStatus('✗ 저장에 실패했습니다');
+            return false;
+        }
+    }
+
+    function exportRules() {
+        const json = JSON.stringify(currentSettings.siteRules, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'element-copier-site-rules.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function importRules(file) {
+        const text = await file.text();
+        rulesTextarea.value = text;
+        await saveRules(text);
+    }
+
+    async function handleChange(event) {
+        const field = event.target.closest('[data-setting]');
+        if (!field || !currentSettings) return;
+
+        const next = JSON.parse(JSON.stringify(currentSettings));
+        setPath(next, field.getAttribute('data-setting'), readField(field));
+        try {
+            currentSettings = await window.mdcpSettings.save(next);
+            render(currentSettings);
+            showStatus('✓ 저장되었습니다');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            showStatus(`✗ ${error.userMessage || '저장에 실패했습니다'}`);
+        }
+    }
+
+    async function handleReset() {
+        try {
+            // Site rules are user content, not conversion options; keep them
+            const defaults = window.mdcpSettings.merge(null);
+            currentSettings = await window.mdcpSettings.save({ ...defaults, siteRules: currentSettings.siteRules });
+            render(currentSettings);
+            showStatus('✓ 기본값으로 초기화되었습니다');
+        } catch (error) {
+            console.error('Failed to reset settings:', error);
+            showStatus('✗ 초기화에 실패했습니다');
+        }
+    }
+
+    async function init() {
+        currentSettings = await window.mdcpSettings.load();
+        render(currentSettings);
+
+        document.addEventListener('change', handleChange);
+        document.querySelector('.mdcp-options-reset').addEventListener('click', handleReset);
+
+        document.querySelector('.mdcp-options-rules-save').addEventListener('click', () => saveRules(rulesTextarea.value));
+        document.querySelector('.mdcp-options-rules-export').addEventListener('click', exportRules);
+        document.querySelector('.mdcp-options-rules-import').addEventListener('click', () => rulesFileInput.click());
+        rulesFileInput.addEventListener('change', async () => {
+            const file = rulesFileInput.files[0];
+            rulesFileInput.value = '';
+            if (file) await importRules(file);
+        });
+
+        window.mdcpSettings.onChange(settings => {
+            currentSettings = settings;
+            render(currentSettings);
+        });
+    }
+
+    init();
+})();
@@ -0,0 +1,260 @@
+// Shared settings for Element to Markdown Copier
+// Defaults and chrome.storage helpers used by the content script and the options page.
+// Site rules live in chrome.storage.local; everything else is synced.
+
+(function () {
+    'use strict';
+
+    if (window.mdcpSettings) {
+        return;
+    }
+
+    const STORAGE_KEY = 'mdcp-settings';
+    const SITE_RULES_STORAGE_KEY = 'mdcp-site-rules';
+    // Where the inline-images toggle lived before it became a setting
+    const LEGACY_INLINE_IMAGES_KEY = 'mdcp-inline-images';
+    // chrome.storage.sync.QUOTA_BYTES_PER_ITEM
+    const SYNC_ITEM_MAX_BYTES = 8192;
+
+    const DEFAULT_SETTINGS = {
+        // Options passed straight to TurndownService
+        turndown: {
+            headingStyle: 'atx',
+            hr: '* * *',
+            bulletListMarker: '*',
+            codeBlockStyle: 'fenced',
+            fence: '```',
+            emDelimiter: '*',
+            strongDelimiter: '**',
+            linkStyle: 'inlined',
+            linkReferenceStyle: 'full',
+            br: '  ',
+            preformattedCode: false
+        },
+        // turndown-plugin-gfm rules
+        gfm: {
+            tables: true,
+            strikethrough: true,
+            taskListItems: true,
+            highlightedCodeBlock: true
+        },
+        // Table output: 'gfm' pipe tables, 'auto' grid tables only when needed,
+        // 'grid' Pandoc grid tables, 'html' raw HTML for tables with spans or block content
+        tables: {
+            format: 'gfm',
+            // 'repeat' or 'blank' the value in slots covered by rowspan/colspan
+            spanFill: 'repeat'
+        },
+        // Format copied by the selection mode: markdown, html, text, asciidoc, org or rst
+        outputFormat: 'markdown',
+        // Link rewriting applied after links are made absolute
+        links: {
+            // 'absolute' keeps every link pointing at the source page, 'local' points
+            // links to headings inside the copy at the heading's Markdown anchor
+            anchors: 'absolute',
+            // Remove utm_*, fbclid, gclid and similar query parameters
+            stripTracking: false,
+            // Replace Google, Facebook and Slack redirect links with their target
+            unwrapRedirects: false
+        },
+        inlineImages: false,
+        captionParagraphSeconds: 30,
+        showFloatingButton: true,
+        // Append every Markdown copy to the clip collection
+        autoCollect: false,
+        // 'body' converts the whole page, 'article' only the detected main content
+        fullPageMode: 'body',
+        // Scroll through the page before a full-page copy so lazy-loaded content renders
+        lazyLoad: {
+            enabled: false,
+            maxSteps: 30,
+            settleMs: 500
+        },
+        // YAML front matter prepended to copied Markdown
+        frontMatter: {
+            enabled: false,
+            fields: {
+                title: true,
+                url: true,
+                author: true,
+                published: true,
+                siteName: true,
+                capturedAt: true,
+                elementCount: true
+            }
+        },
+        // Per-site extraction rules, see validateSiteRules(). Stored apart from the synced
+        // settings because a few rules easily exceed the 8 KB sync item limit.
+        siteRules: []
+    };
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Merge stored values over the defaults, keeping only known keys
+     */
+    function mergeSettings(stored, defaults = DEFAULT_SETTINGS) {
+        const result = {};
+        Object.keys(defaults).forEach(key => {
+            const defaultValue = defaults[key];
+            const value = isPlainObject(stored) ? stored[key] : undefined;
+            if (isPlainObject(defaultValue)) {
+                result[key] = mergeSettings(value, defaultValue);
+            } else if (Array.isArray(defaultValue)) {
+                result[key] = Array.isArray(value) ? value : defaultValue.slice();
+            } else {
+                result[key] = value === undefined || value === null || typeof value !== typeof defaultValue
+                    ? defaultValue
+                    : value;
+            }
+        });
+        return result;
+    }
+
+    function isStringArray(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+
+    /**
+     * Check site rules imported or edited as JSON.
+     * A rule looks like:
+     *   {
+     *     "name": "Example blog",
+     *     "match": "https://blog.example.com/*",   // glob, hostname or /regex/
+     *     "remove": [".share-buttons", ".ad-slot"],  // removed before conversion
+     *     "expand": ["details", ".read-more-body"],  // un-hidden before conversion
+     *     "main": "article .post-body",              // main content for article-only full-page copies
+     *     "turndown": [                              // extra Turndown rules
+     *       { "selector": ".callout", "replacement": "> {{content}}", "block": true },
+     *       { "selector": ".byline", "remove": true }
+     *     ]
+     *   }
+     * Templates can use {{content}}, {{text}} and {{attr:name}}.
+     * Returns the list of problems; an empty list means the rules are valid.
+     */
+    function validateSiteRules(rules) {
+        const errors = [];
+        if (!Array.isArray(rules)) {
+            return ['최상위 값은 규칙 배열이어야 합니다.'];
+        }
+        rules.forEach((rule, index) => {
+            const label = `규칙 ${index + 1}`;
+            if (!isPlainObject(rule)) {
+                errors.push(`${label}: 객체가 아닙니다.`);
+                return;
+            }
+            if (typeof rule.match !== 'string' || !rule.match.trim()) {
+                errors.push(`${label}: "match"(URL 패턴)가 필요합니다.`);
+            }
+            ['remove', 'expand'].forEach(key => {
+                if (rule[key] !== undefined && !isStringArray(rule[key])) {
+                    errors.push(`${label}: "${key}"는 선택자 문자열 배열이어야 합니다.`);
+                }
+            });
+            if (rule.main !== undefined && typeof rule.main !== 'string') {
+                errors.push(`${label}: "main"은 선택자 문자열이어야 합니다.`);
+            }
+            if (rule.turndown !== undefined) {
+                if (!Array.isArray(rule.turndown)) {
+                    errors.push(`${label}: "turndown"은 배열이어야 합니다.`);
+                } else {
+                    rule.turndown.forEach((item, itemIndex) => {
+                        if (!isPlainObject(item) || typeof item.selector !== 'string' ||
+                            (!item.remove && typeof item.replacement !== 'string')) {
+                            errors.push(`${label}, turndown ${itemIndex + 1}: "selector"와 "replacement"(또는 "remove": true)가 필요합니다.`);
+                        }
+                    });
+                }
+            }
+        });
+        return errors;
+    }
+
+    function hasSettingsStorage() {
+        return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync && chrome.storage.local;
+    }
+
+    /**
+     * Error with a message that can be shown to the user as-is
+     */
+    function createStorageError(message, cause) {
+        const error = new Error(message);
+        error.userMessage = message;
+        error.cause = cause;
+        return error;
+    }
+
+    function getByteLength(value) {
+        return new TextEncoder().encode(JSON.stringify(value)).length;
+    }
+
+    async function loadSettings() {
+        if (!hasSettingsStorage()) return mergeSettings(null);
+        try {
+            const [synced, local] = await Promise.all([
+                chrome.storage.sync.get(STORAGE_KEY),
+                chrome.storage.local.get([SITE_RULES_STORAGE_KEY, LEGACY_INLINE_IMAGES_KEY])
+            ]);
+            const stored = isPlainObject(synced[STORAGE_KEY]) ? synced[STORAGE_KEY] : {};
+            // Older versions kept the rules in the synced item
+            const siteRules = local[SITE_RULES_STORAGE_KEY] ?? stored.siteRules;
+            const inlineImages = stored.inlineImages ?? (local[LEGACY_INLINE_IMAGES_KEY] === undefined
+                ? undefined
+                : !!local[LEGACY_INLINE_IMAGES_KEY]);
+            return mergeSettings({ ...stored, siteRules, inlineImages });
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            return mergeSettings(null);
+        }
+    }
+
+    /**
+     * Save the synced settings and the local site rules separately, so a failure to
+     * store the rules never blocks the other options
+     */
+    async function saveSettings(settings) {
+        const merged = mergeSettings(settings);
+        if (!hasSettingsStorage()) return merged;
+
+        const { siteRules, ...synced } = merged;
+        if (getByteLength(synced) + STORAGE_KEY.length > SYNC_ITEM_MAX_BYTES) {
+            throw createStorageError('설정이 동기화 저장소 용량(8 KB)을 넘습니다.');
+        }
+        await chrome.storage.sync.set({ [STORAGE_KEY]: synced });
+        // The legacy toggle is now part of the synced settings
+        chrome.storage.local.remove(LEGACY_INLINE_IMAGES_KEY).catch(() => {});
+
+        try {
+            await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: siteRules });
+        } catch (error) {
+            throw createStorageError('사이트별 규칙이 저장소 용량을 넘어 저장하지 못했습니다. 다른 설정은 저장되었습니다.', error);
+        }
+        return merged;
+    }
+
+    /**
+     * Call back with the merged settings whenever they change in any context
+     */
+    function onSettingsChanged(callback) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) return;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const changed = (areaName === 'sync' && changes[STORAGE_KEY]) ||
+                (areaName === 'local' && changes[SITE_RULES_STORAGE_KEY]);
+            if (!changed) return;
+            loadSettings().then(callback);
+        });
+    }
+
+    window.mdcpSettings = {
+        STORAGE_KEY,
+        SITE_RULES_STORAGE_KEY,
+        DEFAULT_SETTINGS,
+        merge: mergeSettings,
+        load: loadSettings,
+        save: saveSettings,
+        onChange: onSettingsChanged,
+        validateSiteRules
+    };
+})();